@@ -0,0 +1,946 @@
+/**
+ * @typedef {import('./constants.js').HexCoord} HexCoord
+ */
+
+/**
+ * Events yielded by a search algorithm:
+ * - visit: a hex has been expanded (drawn with the visited colouring); parent
+ *   is the hex it was reached from (null for the start). Bidirectional
+ *   searches say which side expanded it.
+ * - frontier: a hex has been added to the queue/stack/open set, with the
+ *   scores the algorithm ranks it by (shown as labels when zoomed in)
+ * - iteration: an iterative search is starting over from the start with a
+ *   new depth or f bound (what earlier iterations expanded is drawn faded)
+ * - done: the search has finished; path is a list of keys from start to end,
+ *   or null. Bidirectional searches also give the hex where the sides met.
+ * @typedef {{ type: 'visit', key: string, parent: string | null, side?: SearchSide }
+ *     | { type: 'frontier', key: string, scores?: CellScores }
+ *     | { type: 'iteration', bound: number }
+ *     | { type: 'done', path: string[] | null, meet?: string }} SearchEvent
+ *
+ * @typedef {'start' | 'end'} SearchSide
+ *
+ * Per-hex scores: g = cost so far, h = heuristic estimate to the end,
+ * f = g + h, depth = steps from the start in the search tree
+ * @typedef {{ g?: number, h?: number, f?: number, depth?: number }} CellScores
+ *
+ * User-chosen settings: the heuristic (a key into the heuristics registry),
+ * how many times the hex distance the inadmissible heuristic estimates, the
+ * weight on the heuristic for weighted A* (f = g + weight × h) and how many
+ * hexes beam search keeps per level
+ * @typedef {{ heuristic: string, inadmissibleFactor: number, weight: number, beamWidth: number }} SearchOptions
+ * @typedef {keyof SearchOptions} SearchOptionName
+ *
+ * @typedef {{ start: HexCoord, end: HexCoord, options: SearchOptions }} SearchContext
+ * @typedef {(context: SearchContext) => Generator<SearchEvent, void, void>} SearchAlgorithm
+ *
+ * `options` lists the settings an algorithm reads, so the UI only offers
+ * those that make a difference
+ * @typedef {{ label: string, search: SearchAlgorithm, options?: SearchOptionName[] }} AlgorithmDefinition
+ */
+
+import { getHexKey, parseHexKey, getHexType, getMoveCost, getMinMoveCost } from './grid.js';
+import { getNeighbors, getNeighborInDirection, offsetToAxial, axialToOffset, heuristic } from './hex-utils.js';
+import { createPriorityQueue, createQueue } from './priority-queue.js';
+import { getHeuristic } from './heuristics.js';
+
+/** @type {SearchOptions} */
+export const DEFAULT_SEARCH_OPTIONS = { heuristic: 'hex', inadmissibleFactor: 3, weight: 1, beamWidth: 20 };
+
+// How far an f may go over IDA*'s bound and still count as within it: room
+// for the Euclidean heuristic's rounding error, far below any tile cost
+const BOUND_TOLERANCE = 1e-9;
+
+/** @type {Record<string, AlgorithmDefinition>} */
+export const algorithms = {
+    bfs: { label: 'Breadth First Search', search: breadthFirstSearch },
+    dfs: { label: 'Depth First Search', search: depthFirstSearch },
+    dijkstra: { label: 'Dijkstra (Uniform-Cost)', search: dijkstra },
+    astar: { label: 'A*', search: aStar, options: ['heuristic', 'weight'] },
+    greedy: { label: 'Greedy Best-First', search: greedyBestFirst, options: ['heuristic'] },
+    'bi-bfs': { label: 'Bidirectional BFS', search: bidirectionalBfs },
+    'bi-astar': { label: 'Bidirectional A*', search: bidirectionalAStar, options: ['heuristic'] },
+    jps: { label: 'Jump Point Search', search: jumpPointSearch },
+    iddfs: { label: 'Iterative Deepening DFS', search: iterativeDeepeningDfs },
+    'ida-star': { label: 'IDA*', search: idaStar, options: ['heuristic'] },
+    beam: { label: 'Beam Search', search: beamSearch, options: ['heuristic', 'beamWidth'] }
+};
+
+/**
+ * Add an algorithm to the registry (must happen before the UI is initialized
+ * for it to appear in the dropdown)
+ * @param {string} id
+ * @param {AlgorithmDefinition} definition
+ */
+export function registerAlgorithm(id, definition) {
+    algorithms[id] = definition;
+}
+
+/**
+ * Walk parent pointers back from the end to build a start-to-end path
+ * @param {Map<string, string | null>} cameFrom
+ * @param {string} endKey
+ * @returns {string[]}
+ */
+export function reconstructPath(cameFrom, endKey) {
+    const path = [];
+    /** @type {string | null | undefined} */
+    let key = endKey;
+    while (key !== null && key !== undefined) {
+        path.push(key);
+        key = cameFrom.get(key);
+    }
+    return path.reverse();
+}
+
+/**
+ * Breadth-First Search (ignores terrain cost - optimal only when every step costs the same)
+ * @type {SearchAlgorithm}
+ */
+export function* breadthFirstSearch({ start, end }) {
+    const startKey = getHexKey(start.col, start.row);
+    const endKey = getHexKey(end.col, end.row);
+
+    /** @type {Map<string, string | null>} */
+    const cameFrom = new Map();
+    cameFrom.set(startKey, null);
+
+    /** @type {Map<string, number>} */
+    const depth = new Map();
+    depth.set(startKey, 0);
+
+    /** @type {import('./priority-queue.js').Queue<HexCoord>} */
+    const queue = createQueue();
+    queue.push({ col: start.col, row: start.row });
+    yield { type: 'frontier', key: startKey, scores: { depth: 0 } };
+
+    while (queue.size > 0) {
+        const current = queue.shift();
+        if (!current) continue;
+        const currentKey = getHexKey(current.col, current.row);
+
+        yield { type: 'visit', key: currentKey, parent: cameFrom.get(currentKey) ?? null };
+
+        if (currentKey === endKey) {
+            yield { type: 'done', path: reconstructPath(cameFrom, endKey) };
+            return;
+        }
+
+        for (const neighbor of getNeighbors(current.col, current.row)) {
+            const neighborKey = getHexKey(neighbor.col, neighbor.row);
+
+            if (cameFrom.has(neighborKey)) continue;
+            if (getHexType(neighbor.col, neighbor.row) === 'wall') continue;
+
+            const neighborDepth = /** @type {number} */ (depth.get(currentKey)) + 1;
+            cameFrom.set(neighborKey, currentKey);
+            depth.set(neighborKey, neighborDepth);
+            queue.push(neighbor);
+            yield { type: 'frontier', key: neighborKey, scores: { depth: neighborDepth } };
+        }
+    }
+
+    yield { type: 'done', path: null };
+}
+
+/**
+ * Depth-First Search (ignores terrain cost)
+ * @type {SearchAlgorithm}
+ */
+export function* depthFirstSearch({ start, end }) {
+    const startKey = getHexKey(start.col, start.row);
+    const endKey = getHexKey(end.col, end.row);
+
+    /** @type {Map<string, string | null>} */
+    const cameFrom = new Map();
+    cameFrom.set(startKey, null);
+
+    /** @type {Map<string, number>} */
+    const depth = new Map();
+    depth.set(startKey, 0);
+
+    const visited = new Set();
+    const stack = [{ col: start.col, row: start.row }];
+    yield { type: 'frontier', key: startKey, scores: { depth: 0 } };
+
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (!current) continue;
+        const currentKey = getHexKey(current.col, current.row);
+
+        if (visited.has(currentKey)) continue;
+        visited.add(currentKey);
+        yield { type: 'visit', key: currentKey, parent: cameFrom.get(currentKey) ?? null };
+
+        if (currentKey === endKey) {
+            yield { type: 'done', path: reconstructPath(cameFrom, endKey) };
+            return;
+        }
+
+        for (const neighbor of getNeighbors(current.col, current.row)) {
+            const neighborKey = getHexKey(neighbor.col, neighbor.row);
+
+            if (visited.has(neighborKey)) continue;
+            if (getHexType(neighbor.col, neighbor.row) === 'wall') continue;
+
+            if (!cameFrom.has(neighborKey)) {
+                cameFrom.set(neighborKey, currentKey);
+                depth.set(neighborKey, /** @type {number} */ (depth.get(currentKey)) + 1);
+            }
+            stack.push(neighbor);
+            yield { type: 'frontier', key: neighborKey, scores: { depth: depth.get(neighborKey) } };
+        }
+    }
+
+    yield { type: 'done', path: null };
+}
+
+/**
+ * Best-first search shared by Dijkstra and A*: expands the open hex with the
+ * lowest g + h, honouring terrain cost
+ * @param {SearchContext} context
+ * @param {((col: number, row: number) => number) | null} estimate - h(n), the remaining-cost estimate (null for none)
+ * @returns {Generator<SearchEvent, void, void>}
+ */
+function* costSearch({ start, end }, estimate) {
+    const startKey = getHexKey(start.col, start.row);
+    const endKey = getHexKey(end.col, end.row);
+
+    /** @type {Map<string, string | null>} */
+    const cameFrom = new Map();
+    cameFrom.set(startKey, null);
+
+    /** @type {Map<string, number>} */
+    const gScore = new Map();
+    gScore.set(startKey, 0);
+
+    // Improved scores are pushed again; stale entries are skipped via `visited`
+    const visited = new Set();
+    /** @type {import('./priority-queue.js').PriorityQueue<HexCoord>} */
+    const openSet = createPriorityQueue();
+    openSet.push({ col: start.col, row: start.row }, estimate ? estimate(start.col, start.row) : 0);
+    yield { type: 'frontier', key: startKey, scores: scoreCell(0, estimate && estimate(start.col, start.row)) };
+
+    while (openSet.size > 0) {
+        const current = openSet.pop();
+        if (!current) continue;
+        const currentKey = getHexKey(current.col, current.row);
+
+        if (visited.has(currentKey)) continue;
+        visited.add(currentKey);
+        yield { type: 'visit', key: currentKey, parent: cameFrom.get(currentKey) ?? null };
+
+        if (currentKey === endKey) {
+            yield { type: 'done', path: reconstructPath(cameFrom, endKey) };
+            return;
+        }
+
+        const currentG = /** @type {number} */ (gScore.get(currentKey));
+
+        for (const neighbor of getNeighbors(current.col, current.row)) {
+            const neighborKey = getHexKey(neighbor.col, neighbor.row);
+
+            if (visited.has(neighborKey)) continue;
+            if (getHexType(neighbor.col, neighbor.row) === 'wall') continue;
+
+            const tentativeG = currentG + getMoveCost(neighbor.col, neighbor.row);
+            const neighborG = gScore.get(neighborKey);
+
+            if (neighborG === undefined || tentativeG < neighborG) {
+                const h = estimate && estimate(neighbor.col, neighbor.row);
+                cameFrom.set(neighborKey, currentKey);
+                gScore.set(neighborKey, tentativeG);
+                openSet.push(neighbor, tentativeG + (h ?? 0));
+                yield { type: 'frontier', key: neighborKey, scores: scoreCell(tentativeG, h) };
+            }
+        }
+    }
+
+    yield { type: 'done', path: null };
+}
+
+/**
+ * Scores for a hex in the open set: g alone, or g, h and f when there is a heuristic
+ * @param {number} g
+ * @param {number | null} h
+ * @returns {CellScores}
+ */
+function scoreCell(g, h) {
+    return h === null ? { g } : { g, h, f: g + h };
+}
+
+/**
+ * Dijkstra / Uniform-Cost Search (honours terrain cost, no heuristic)
+ * @type {SearchAlgorithm}
+ */
+export function* dijkstra(context) {
+    yield* costSearch(context, null);
+}
+
+/**
+ * A* Search (honours terrain cost). A weight above 1 makes it weighted A*,
+ * which trades optimality for fewer expansions.
+ * @type {SearchAlgorithm}
+ */
+export function* aStar(context) {
+    // Scale the heuristic by the cheapest tile so it never overestimates
+    const minCost = getMinMoveCost();
+    const { end, options } = context;
+    const estimate = getHeuristic(options);
+    yield* costSearch(context, (col, row) => options.weight * minCost * estimate(col, row, end.col, end.row));
+}
+
+/**
+ * Greedy Best-First Search (ignores terrain cost - only the heuristic matters)
+ * @type {SearchAlgorithm}
+ */
+export function* greedyBestFirst({ start, end, options }) {
+    const estimate = getHeuristic(options);
+    const startKey = getHexKey(start.col, start.row);
+    const endKey = getHexKey(end.col, end.row);
+
+    /** @type {Map<string, string | null>} */
+    const cameFrom = new Map();
+    cameFrom.set(startKey, null);
+
+    const visited = new Set();
+    /** @type {import('./priority-queue.js').PriorityQueue<HexCoord>} */
+    const openSet = createPriorityQueue();
+    const startH = estimate(start.col, start.row, end.col, end.row);
+    openSet.push({ col: start.col, row: start.row }, startH);
+    yield { type: 'frontier', key: startKey, scores: { h: startH } };
+
+    while (openSet.size > 0) {
+        const current = openSet.pop();
+        if (!current) continue;
+        const currentKey = getHexKey(current.col, current.row);
+
+        if (visited.has(currentKey)) continue;
+        visited.add(currentKey);
+        yield { type: 'visit', key: currentKey, parent: cameFrom.get(currentKey) ?? null };
+
+        if (currentKey === endKey) {
+            yield { type: 'done', path: reconstructPath(cameFrom, endKey) };
+            return;
+        }
+
+        for (const neighbor of getNeighbors(current.col, current.row)) {
+            const neighborKey = getHexKey(neighbor.col, neighbor.row);
+
+            if (visited.has(neighborKey)) continue;
+            if (getHexType(neighbor.col, neighbor.row) === 'wall') continue;
+
+            if (!cameFrom.has(neighborKey)) {
+                const h = estimate(neighbor.col, neighbor.row, end.col, end.row);
+                cameFrom.set(neighborKey, currentKey);
+                openSet.push(neighbor, h);
+                yield { type: 'frontier', key: neighborKey, scores: { h } };
+            }
+        }
+    }
+
+    yield { type: 'done', path: null };
+}
+
+/**
+ * @param {SearchSide} side
+ * @returns {SearchSide}
+ */
+function otherSide(side) {
+    return side === 'start' ? 'end' : 'start';
+}
+
+/**
+ * Join the two halves of a bidirectional search into one start-to-end path
+ * @param {Map<string, string | null>} fromStart - parents in the search from the start
+ * @param {string} startHalfEnd - last hex of the start half
+ * @param {Map<string, string | null>} fromEnd - parents in the search from the end
+ * @param {string} endHalfStart - first hex of the end half
+ * @returns {string[]}
+ */
+function joinPaths(fromStart, startHalfEnd, fromEnd, endHalfStart) {
+    return [...reconstructPath(fromStart, startHalfEnd), ...reconstructPath(fromEnd, endHalfStart).reverse()];
+}
+
+/**
+ * Bidirectional BFS (ignores terrain cost): breadth-first searches from the
+ * start and the end take turns expanding a whole level, and stop at the end
+ * of the level in which they first touch, taking the shortest connection
+ * @type {SearchAlgorithm}
+ */
+export function* bidirectionalBfs({ start, end }) {
+    const startKey = getHexKey(start.col, start.row);
+    const endKey = getHexKey(end.col, end.row);
+
+    /** @param {HexCoord} root @param {string} rootKey */
+    const createSide = (root, rootKey) => ({
+        /** @type {Map<string, string | null>} */
+        cameFrom: new Map([[rootKey, null]]),
+        /** @type {Map<string, number>} */
+        depth: new Map([[rootKey, 0]]),
+        /** @type {HexCoord[]} */
+        level: [{ col: root.col, row: root.row }]
+    });
+    const sides = { start: createSide(start, startKey), end: createSide(end, endKey) };
+    yield { type: 'frontier', key: startKey, scores: { depth: 0 } };
+    yield { type: 'frontier', key: endKey, scores: { depth: 0 } };
+
+    // Shortest connection found so far: hex `from` on one side next to hex `meet` reached by the other
+    let best = Infinity;
+    /** @type {{ side: SearchSide, from: string, meet: string } | null} */
+    let link = null;
+
+    /** @type {SearchSide} */
+    let side = 'start';
+    while (sides.start.level.length > 0 && sides.end.level.length > 0) {
+        const searching = sides[side];
+        const other = sides[otherSide(side)];
+        /** @type {HexCoord[]} */
+        const nextLevel = [];
+
+        for (const current of searching.level) {
+            const currentKey = getHexKey(current.col, current.row);
+            const currentDepth = /** @type {number} */ (searching.depth.get(currentKey));
+            yield { type: 'visit', key: currentKey, parent: searching.cameFrom.get(currentKey) ?? null, side };
+
+            for (const neighbor of getNeighbors(current.col, current.row)) {
+                const neighborKey = getHexKey(neighbor.col, neighbor.row);
+                if (getHexType(neighbor.col, neighbor.row) === 'wall') continue;
+
+                const otherDepth = other.depth.get(neighborKey);
+                if (otherDepth !== undefined && currentDepth + 1 + otherDepth < best) {
+                    best = currentDepth + 1 + otherDepth;
+                    link = { side, from: currentKey, meet: neighborKey };
+                }
+
+                if (searching.cameFrom.has(neighborKey)) continue;
+                searching.cameFrom.set(neighborKey, currentKey);
+                searching.depth.set(neighborKey, currentDepth + 1);
+                nextLevel.push(neighbor);
+                yield { type: 'frontier', key: neighborKey, scores: { depth: currentDepth + 1 } };
+            }
+        }
+
+        // (cast: narrowing doesn't see the assignment inside the generator's loop)
+        const found = /** @type {{ side: SearchSide, from: string, meet: string } | null} */ (link);
+        if (found) {
+            const path = found.side === 'start'
+                ? joinPaths(sides.start.cameFrom, found.from, sides.end.cameFrom, found.meet)
+                : joinPaths(sides.start.cameFrom, found.meet, sides.end.cameFrom, found.from);
+            yield { type: 'done', path, meet: found.meet };
+            return;
+        }
+
+        searching.level = nextLevel;
+        side = otherSide(side);
+    }
+
+    yield { type: 'done', path: null };
+}
+
+/**
+ * Bidirectional A* (honours terrain cost): A* searches from the start towards
+ * the end and from the end towards the start take turns expanding a hex. The
+ * cheapest connection found is optimal (given an admissible heuristic) once
+ * it costs no more than the lowest f on either open set. The end-side g is the cost from a hex to the end.
+ * @type {SearchAlgorithm}
+ */
+export function* bidirectionalAStar({ start, end, options }) {
+    const startKey = getHexKey(start.col, start.row);
+    const endKey = getHexKey(end.col, end.row);
+    const estimate = getHeuristic(options);
+    // Scale the heuristic by the cheapest tile so it never overestimates
+    const minCost = getMinMoveCost();
+
+    /**
+     * @param {HexCoord} root
+     * @param {string} rootKey
+     * @param {HexCoord} target
+     */
+    const createSide = (root, rootKey, target) => {
+        /** @type {import('./priority-queue.js').PriorityQueue<HexCoord>} */
+        const open = createPriorityQueue();
+        const h = minCost * estimate(root.col, root.row, target.col, target.row);
+        open.push({ col: root.col, row: root.row }, h);
+        return {
+            target,
+            open,
+            /** @type {Map<string, string | null>} */
+            cameFrom: new Map([[rootKey, null]]),
+            /** @type {Map<string, number>} */
+            gScore: new Map([[rootKey, 0]]),
+            /** @type {Set<string>} */
+            closed: new Set(),
+            rootScores: scoreCell(0, h)
+        };
+    };
+    const sides = { start: createSide(start, startKey, end), end: createSide(end, endKey, start) };
+    yield { type: 'frontier', key: startKey, scores: sides.start.rootScores };
+    yield { type: 'frontier', key: endKey, scores: sides.end.rootScores };
+
+    /**
+     * Lowest f on a side's open set, skipping entries for hexes already expanded
+     * @param {SearchSide} side
+     * @returns {number}
+     */
+    const lowestF = (side) => {
+        const { open, closed } = sides[side];
+        for (let top = open.peek(); top; top = open.peek()) {
+            if (!closed.has(getHexKey(top.item.col, top.item.row))) return top.priority;
+            open.pop();
+        }
+        return Infinity;
+    };
+
+    let best = Infinity;
+    /** @type {string | null} */
+    let meet = null;
+
+    /** @type {SearchSide} */
+    let side = 'start';
+    while (Math.max(lowestF('start'), lowestF('end')) < best) {
+        const searching = sides[side];
+        const other = sides[otherSide(side)];
+        const current = /** @type {HexCoord} */ (searching.open.pop());
+        const currentKey = getHexKey(current.col, current.row);
+
+        searching.closed.add(currentKey);
+        yield { type: 'visit', key: currentKey, parent: searching.cameFrom.get(currentKey) ?? null, side };
+
+        const currentG = /** @type {number} */ (searching.gScore.get(currentKey));
+        for (const neighbor of getNeighbors(current.col, current.row)) {
+            const neighborKey = getHexKey(neighbor.col, neighbor.row);
+            if (searching.closed.has(neighborKey)) continue;
+            if (getHexType(neighbor.col, neighbor.row) === 'wall') continue;
+
+            // Moving start-wards from the end side crosses edges backwards, paying for the hex left behind
+            const stepCost = side === 'start'
+                ? getMoveCost(neighbor.col, neighbor.row)
+                : getMoveCost(current.col, current.row);
+            const tentativeG = currentG + stepCost;
+            const neighborG = searching.gScore.get(neighborKey);
+
+            if (neighborG === undefined || tentativeG < neighborG) {
+                const h = minCost * estimate(neighbor.col, neighbor.row, searching.target.col, searching.target.row);
+                searching.cameFrom.set(neighborKey, currentKey);
+                searching.gScore.set(neighborKey, tentativeG);
+                searching.open.push(neighbor, tentativeG + h);
+                yield { type: 'frontier', key: neighborKey, scores: scoreCell(tentativeG, h) };
+
+                const otherG = other.gScore.get(neighborKey);
+                if (otherG !== undefined && tentativeG + otherG < best) {
+                    best = tentativeG + otherG;
+                    meet = neighborKey;
+                }
+            }
+        }
+
+        side = otherSide(side);
+    }
+
+    if (meet === null) {
+        yield { type: 'done', path: null };
+        return;
+    }
+    // Both halves include the meeting hex
+    const path = joinPaths(sides.start.cameFrom, meet, sides.end.cameFrom, meet);
+    path.splice(path.indexOf(meet), 1);
+    yield { type: 'done', path, meet };
+}
+
+/**
+ * Whether a hex can be entered (on the grid and not a wall)
+ * @param {HexCoord | null} hex
+ * @returns {hex is HexCoord}
+ */
+function isOpen(hex) {
+    return hex !== null && getHexType(hex.col, hex.row) !== 'wall';
+}
+
+/**
+ * How a jump search carries on from a hex: the direction (0-5, as for
+ * getNeighborInDirection) and whether it slides, scanning a side ray in the
+ * next direction round from every hex it passes, or is itself such a ray
+ * @typedef {{ direction: number, scanSide: boolean }} JumpMove
+ */
+
+/**
+ * @param {number} direction - any integer, taken modulo 6
+ * @param {boolean} scanSide
+ * @returns {JumpMove}
+ */
+function jumpMove(direction, scanSide) {
+    return { direction: ((direction % 6) + 6) % 6, scanSide };
+}
+
+/**
+ * Moves forced on a jump search at a hex it entered by `move`. A neighbour
+ * beside the move is forced when a wall (or the grid edge) blocks the line
+ * that would otherwise have reached it just as quickly without passing
+ * through this hex; the search must then carry on from here to cover the
+ * hexes in that wall's shadow.
+ * @param {HexCoord} hex
+ * @param {JumpMove} move
+ * @returns {JumpMove[]}
+ */
+function forcedMoves(hex, { direction, scanSide }) {
+    /**
+     * @param {number} side - +1 for the next direction round, -1 for the previous
+     */
+    const isForced = (side) =>
+        !isOpen(getNeighborInDirection(hex.col, hex.row, direction + 2 * side)) &&
+        isOpen(getNeighborInDirection(hex.col, hex.row, direction + side));
+
+    const moves = [];
+    if (isForced(-1)) moves.push(jumpMove(direction - 1, true));
+    // A slide's side ray already covers its other side
+    if (!scanSide && isForced(1)) {
+        moves.push(jumpMove(direction + 1, false), jumpMove(direction, true));
+    }
+    return moves;
+}
+
+/**
+ * Jump Point Search adapted to hexes (treats every step as costing 1). Every
+ * shortest path between two hexes can be written as a run of steps in one
+ * direction followed by a run in the next direction round, so from each jump
+ * point the search slides in direction d, scanning a straight ray in
+ * direction d + 1 from every hex it passes, and only stops where the end is
+ * found or a wall forces a detour. Only those stopping points, the jump
+ * points, are expanded and drawn; the path between them is filled in at the end.
+ * @type {SearchAlgorithm}
+ */
+export function* jumpPointSearch({ start, end }) {
+    const startKey = getHexKey(start.col, start.row);
+    const endKey = getHexKey(end.col, end.row);
+
+    /**
+     * Move from a hex in a straight line, returning the first hex worth
+     * stopping at, or null if the line hits a wall or the grid edge first
+     * @param {HexCoord} from
+     * @param {JumpMove} move
+     * @returns {HexCoord | null}
+     */
+    const jump = (from, move) => {
+        const ray = jumpMove(move.direction + 1, false);
+        for (let hex = getNeighborInDirection(from.col, from.row, move.direction); isOpen(hex);
+            hex = getNeighborInDirection(hex.col, hex.row, move.direction)) {
+            if (getHexKey(hex.col, hex.row) === endKey) return hex;
+            if (forcedMoves(hex, move).length > 0) return hex;
+            if (move.scanSide && jump(hex, ray)) return hex;
+        }
+        return null;
+    };
+
+    /** @type {Map<string, string | null>} */
+    const cameFrom = new Map();
+    cameFrom.set(startKey, null);
+
+    /** @type {Map<string, number>} */
+    const gScore = new Map();
+    gScore.set(startKey, 0);
+
+    // How each jump point has been reached by a shortest route so far. Each
+    // way covers different hexes when carried on, so a way found after the
+    // hex was expanded queues it again to carry that way on too.
+    /** @type {Map<string, { seen: Set<string>, pending: JumpMove[] }>} */
+    const arrivals = new Map();
+    /** @type {JumpMove[]} */
+    const fromStart = [];
+    for (let direction = 0; direction < 6; direction++) fromStart.push(jumpMove(direction, true));
+    arrivals.set(startKey, { seen: new Set(), pending: fromStart });
+
+    const visited = new Set();
+    /** @type {import('./priority-queue.js').PriorityQueue<HexCoord>} */
+    const openSet = createPriorityQueue();
+    const startH = heuristic(start.col, start.row, end.col, end.row);
+    openSet.push({ col: start.col, row: start.row }, startH);
+    yield { type: 'frontier', key: startKey, scores: scoreCell(0, startH) };
+
+    while (openSet.size > 0) {
+        const current = openSet.pop();
+        if (!current) continue;
+        const currentKey = getHexKey(current.col, current.row);
+
+        const arrival = /** @type {{ seen: Set<string>, pending: JumpMove[] }} */ (arrivals.get(currentKey));
+        const ways = arrival.pending;
+        arrival.pending = [];
+        if (visited.has(currentKey) && ways.length === 0) continue;
+        if (!visited.has(currentKey)) {
+            visited.add(currentKey);
+            yield { type: 'visit', key: currentKey, parent: cameFrom.get(currentKey) ?? null };
+        }
+
+        if (currentKey === endKey) {
+            yield { type: 'done', path: fillJumps(reconstructPath(cameFrom, endKey)) };
+            return;
+        }
+
+        // Carry on each way the hex was reached (with its side ray), plus any turns forced on it
+        const moves = currentKey === startKey ? ways : ways.flatMap(way => [
+            way,
+            ...(way.scanSide ? [jumpMove(way.direction + 1, false)] : []),
+            ...forcedMoves(current, way)
+        ]);
+
+        const currentG = /** @type {number} */ (gScore.get(currentKey));
+
+        for (const move of moves) {
+            const jumpPoint = jump(current, move);
+            if (!jumpPoint) continue;
+            const jumpKey = getHexKey(jumpPoint.col, jumpPoint.row);
+
+            const tentativeG = currentG + heuristic(current.col, current.row, jumpPoint.col, jumpPoint.row);
+            const jumpG = gScore.get(jumpKey);
+            const h = heuristic(jumpPoint.col, jumpPoint.row, end.col, end.row);
+            const moveId = `${move.direction},${move.scanSide}`;
+
+            if (jumpG === undefined || tentativeG < jumpG) {
+                cameFrom.set(jumpKey, currentKey);
+                gScore.set(jumpKey, tentativeG);
+                arrivals.set(jumpKey, { seen: new Set([moveId]), pending: [move] });
+                openSet.push(jumpPoint, tentativeG + h);
+                yield { type: 'frontier', key: jumpKey, scores: scoreCell(tentativeG, h) };
+            } else if (tentativeG === jumpG) {
+                const jumpArrival = /** @type {{ seen: Set<string>, pending: JumpMove[] }} */ (arrivals.get(jumpKey));
+                if (jumpArrival.seen.has(moveId)) continue;
+                jumpArrival.seen.add(moveId);
+                jumpArrival.pending.push(move);
+                if (visited.has(jumpKey)) openSet.push(jumpPoint, tentativeG + h);
+            }
+        }
+    }
+
+    yield { type: 'done', path: null };
+}
+
+/**
+ * Fill in the hexes between consecutive jump points, which always lie on a
+ * straight line
+ * @param {string[]} jumpPoints
+ * @returns {string[]}
+ */
+function fillJumps(jumpPoints) {
+    const path = jumpPoints.slice(0, 1);
+    for (let i = 1; i < jumpPoints.length; i++) {
+        const a = parseHexKey(jumpPoints[i - 1]);
+        const b = parseHexKey(jumpPoints[i]);
+        const from = offsetToAxial(a.col, a.row);
+        const to = offsetToAxial(b.col, b.row);
+        const dq = to.q - from.q;
+        const dr = to.r - from.r;
+        const steps = Math.max(Math.abs(dq), Math.abs(dr), Math.abs(dq + dr));
+        for (let step = 1; step <= steps; step++) {
+            const hex = axialToOffset(from.q + dq / steps * step, from.r + dr / steps * step);
+            path.push(getHexKey(hex.col, hex.row));
+        }
+    }
+    return path;
+}
+
+/**
+ * Iterative Deepening DFS (ignores terrain cost): depth-first searches
+ * limited to depth 0, 1, 2, ... until one reaches the end, so the first path
+ * found is a shortest one. Each iteration only remembers the shallowest depth
+ * it has reached each hex at, to avoid re-exploring the many equally long
+ * routes to a hex; hexes are still expanded again by every later iteration.
+ * @type {SearchAlgorithm}
+ */
+export function* iterativeDeepeningDfs({ start, end }) {
+    const startKey = getHexKey(start.col, start.row);
+    const endKey = getHexKey(end.col, end.row);
+
+    for (let limit = 0; ; limit++) {
+        yield { type: 'iteration', bound: limit };
+
+        /** @type {Map<string, string | null>} */
+        const cameFrom = new Map([[startKey, null]]);
+        /** @type {Map<string, number>} */
+        const depth = new Map([[startKey, 0]]);
+        /** @type {{ hex: HexCoord, key: string, depth: number }[]} */
+        const stack = [{ hex: { col: start.col, row: start.row }, key: startKey, depth: 0 }];
+        yield { type: 'frontier', key: startKey, scores: { depth: 0 } };
+
+        // Whether the limit stopped the search anywhere (if not, deeper searches can't do better)
+        let cutOff = false;
+
+        while (stack.length > 0) {
+            const current = /** @type {{ hex: HexCoord, key: string, depth: number }} */ (stack.pop());
+            // Reached by a shorter route since this entry was pushed
+            if (current.depth > /** @type {number} */ (depth.get(current.key))) continue;
+            yield { type: 'visit', key: current.key, parent: cameFrom.get(current.key) ?? null };
+
+            if (current.key === endKey) {
+                yield { type: 'done', path: reconstructPath(cameFrom, endKey) };
+                return;
+            }
+
+            for (const neighbor of getNeighbors(current.hex.col, current.hex.row)) {
+                const neighborKey = getHexKey(neighbor.col, neighbor.row);
+                if (getHexType(neighbor.col, neighbor.row) === 'wall') continue;
+
+                const neighborDepth = current.depth + 1;
+                const known = depth.get(neighborKey);
+                if (known !== undefined && known <= neighborDepth) continue;
+                if (neighborDepth > limit) {
+                    cutOff = true;
+                    continue;
+                }
+
+                cameFrom.set(neighborKey, current.key);
+                depth.set(neighborKey, neighborDepth);
+                stack.push({ hex: neighbor, key: neighborKey, depth: neighborDepth });
+                yield { type: 'frontier', key: neighborKey, scores: { depth: neighborDepth } };
+            }
+        }
+
+        if (!cutOff) break;
+    }
+
+    yield { type: 'done', path: null };
+}
+
+/**
+ * IDA* (honours terrain cost): depth-first searches that give up on any hex
+ * whose f = g + h exceeds a bound, starting with the start's h and raising
+ * the bound each iteration to the smallest f that went over it (or by the
+ * cheapest tile's cost, if that is more). Like
+ * iterative deepening, each iteration only remembers the cheapest g it has
+ * reached each hex at.
+ * @type {SearchAlgorithm}
+ */
+export function* idaStar({ start, end, options }) {
+    const startKey = getHexKey(start.col, start.row);
+    const endKey = getHexKey(end.col, end.row);
+    const estimate = getHeuristic(options);
+    // Scale the heuristic by the cheapest tile so it never overestimates
+    const minCost = getMinMoveCost();
+    /** @param {HexCoord} hex */
+    const h = (hex) => minCost * estimate(hex.col, hex.row, end.col, end.row);
+
+    for (let bound = h(start); bound < Infinity;) {
+        yield { type: 'iteration', bound };
+
+        /** @type {Map<string, string | null>} */
+        const cameFrom = new Map([[startKey, null]]);
+        /** @type {Map<string, number>} */
+        const gScore = new Map([[startKey, 0]]);
+        /** @type {{ hex: HexCoord, key: string, g: number }[]} */
+        const stack = [{ hex: { col: start.col, row: start.row }, key: startKey, g: 0 }];
+        yield { type: 'frontier', key: startKey, scores: scoreCell(0, h(start)) };
+
+        // Smallest f that went over the bound: the next iteration's bound
+        let nextBound = Infinity;
+
+        while (stack.length > 0) {
+            const current = /** @type {{ hex: HexCoord, key: string, g: number }} */ (stack.pop());
+            // Reached more cheaply since this entry was pushed
+            if (current.g > /** @type {number} */ (gScore.get(current.key))) continue;
+            yield { type: 'visit', key: current.key, parent: cameFrom.get(current.key) ?? null };
+
+            if (current.key === endKey) {
+                yield { type: 'done', path: reconstructPath(cameFrom, endKey) };
+                return;
+            }
+
+            for (const neighbor of getNeighbors(current.hex.col, current.hex.row)) {
+                const neighborKey = getHexKey(neighbor.col, neighbor.row);
+                if (getHexType(neighbor.col, neighbor.row) === 'wall') continue;
+
+                const neighborG = current.g + getMoveCost(neighbor.col, neighbor.row);
+                const known = gScore.get(neighborKey);
+                if (known !== undefined && known <= neighborG) continue;
+
+                const neighborH = h(neighbor);
+                if (neighborG + neighborH > bound + BOUND_TOLERANCE) {
+                    nextBound = Math.min(nextBound, neighborG + neighborH);
+                    continue;
+                }
+
+                cameFrom.set(neighborKey, current.key);
+                gScore.set(neighborKey, neighborG);
+                stack.push({ hex: neighbor, key: neighborKey, g: neighborG });
+                yield { type: 'frontier', key: neighborKey, scores: scoreCell(neighborG, neighborH) };
+            }
+        }
+
+        // Raise by at least one cheapest step: Euclidean h differs by slivers
+        // between hexes, so the smallest f over the bound can creep up by
+        // hardly anything per iteration. No path was found within the old
+        // bound and every tile costs a multiple of the cheapest, so no path
+        // costs strictly between the two bounds
+        bound = Math.max(nextBound, bound + minCost);
+    }
+
+    yield { type: 'done', path: null };
+}
+
+/**
+ * Beam Search (honours terrain cost): a breadth-first search that only
+ * carries the `beamWidth` most promising hexes (lowest g + h) of each level
+ * on to the next. Its memory is bounded by the beam, but it can return a
+ * dearer path than A*, or none at all when every way through was cut.
+ * @type {SearchAlgorithm}
+ */
+export function* beamSearch({ start, end, options }) {
+    const startKey = getHexKey(start.col, start.row);
+    const endKey = getHexKey(end.col, end.row);
+    const estimate = getHeuristic(options);
+    // Scale the heuristic by the cheapest tile so it never overestimates
+    const minCost = getMinMoveCost();
+
+    /** @type {Map<string, string | null>} */
+    const cameFrom = new Map();
+    cameFrom.set(startKey, null);
+
+    /** @type {Map<string, number>} */
+    const gScore = new Map();
+    gScore.set(startKey, 0);
+
+    /** @type {HexCoord[]} */
+    let level = [{ col: start.col, row: start.row }];
+    yield { type: 'frontier', key: startKey, scores: scoreCell(0, minCost * estimate(start.col, start.row, end.col, end.row)) };
+
+    while (level.length > 0) {
+        // Hexes the level reaches that no earlier level kept, each by its cheapest route
+        /** @type {Map<string, { hex: HexCoord, g: number, h: number }>} */
+        const candidates = new Map();
+
+        for (const current of level) {
+            const currentKey = getHexKey(current.col, current.row);
+            yield { type: 'visit', key: currentKey, parent: cameFrom.get(currentKey) ?? null };
+
+            if (currentKey === endKey) {
+                yield { type: 'done', path: reconstructPath(cameFrom, endKey) };
+                return;
+            }
+
+            const currentG = /** @type {number} */ (gScore.get(currentKey));
+            for (const neighbor of getNeighbors(current.col, current.row)) {
+                const neighborKey = getHexKey(neighbor.col, neighbor.row);
+                if (gScore.has(neighborKey)) continue;
+                if (getHexType(neighbor.col, neighbor.row) === 'wall') continue;
+
+                const g = currentG + getMoveCost(neighbor.col, neighbor.row);
+                const existing = candidates.get(neighborKey);
+                if (existing && existing.g <= g) continue;
+
+                const h = minCost * estimate(neighbor.col, neighbor.row, end.col, end.row);
+                candidates.set(neighborKey, { hex: neighbor, g, h });
+                cameFrom.set(neighborKey, currentKey);
+            }
+        }
+
+        // Keep the best of the next level; the rest are forgotten, so may be reached again later
+        const ranked = [...candidates].sort(([, a], [, b]) => (a.g + a.h) - (b.g + b.h));
+        for (const [key] of ranked.slice(options.beamWidth)) cameFrom.delete(key);
+        level = [];
+        for (const [key, { hex, g, h }] of ranked.slice(0, options.beamWidth)) {
+            gScore.set(key, g);
+            level.push(hex);
+            yield { type: 'frontier', key, scores: scoreCell(g, h) };
+        }
+    }
+
+    yield { type: 'done', path: null };
+}
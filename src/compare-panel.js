@@ -0,0 +1,66 @@
+import { algorithms } from './algorithms.js';
+
+// Comparison mode runs this many algorithms side by side
+export const COMPARE_LIMITS = { min: 2, max: 4 };
+
+// Ticked when comparison mode is first opened
+const DEFAULT_COMPARED = ['bfs', 'astar', 'greedy'];
+
+// DOM elements (initialized via init)
+/** @type {HTMLElement} */
+let panel;
+/** @type {HTMLInputElement[]} */
+let checkboxes = [];
+
+/**
+ * Algorithms ticked for comparison, in registry order, or null when
+ * comparison mode is off
+ * @returns {string[] | null}
+ */
+export function getComparedAlgorithms() {
+    if (panel.hidden) return null;
+    return checkboxes.filter(box => box.checked).map(box => box.value);
+}
+
+// Keep between COMPARE_LIMITS.min and .max ticked: once full, no more can be
+// ticked, and once at the minimum, the last ones can't be unticked
+function enforceLimit() {
+    const ticked = checkboxes.filter(box => box.checked).length;
+    for (const box of checkboxes) {
+        box.disabled = box.checked ? ticked <= COMPARE_LIMITS.min : ticked >= COMPARE_LIMITS.max;
+    }
+}
+
+/**
+ * Initialize the comparison mode toggle and algorithm picker
+ * @param {() => void} onChange - Called when comparison mode or its algorithms change
+ */
+export function initComparePanel(onChange) {
+    panel = /** @type {HTMLElement} */ (document.getElementById('compare-panel'));
+    const toggleBtn = /** @type {HTMLButtonElement} */ (document.getElementById('compare-btn'));
+    const list = /** @type {HTMLElement} */ (document.getElementById('compare-algorithms'));
+
+    // One checkbox per registered algorithm
+    checkboxes = Object.entries(algorithms).map(([id, { label }]) => {
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = id;
+        box.checked = DEFAULT_COMPARED.includes(id);
+        box.addEventListener('change', () => {
+            enforceLimit();
+            onChange();
+        });
+
+        const labelEl = document.createElement('label');
+        labelEl.append(box, ` ${label}`);
+        list.append(labelEl);
+        return box;
+    });
+    enforceLimit();
+
+    toggleBtn.addEventListener('click', () => {
+        panel.hidden = !panel.hidden;
+        toggleBtn.classList.toggle('active', !panel.hidden);
+        onChange();
+    });
+}
@@ -2,47 +2,77 @@
 /**
  * @typedef {{ col: number, row: number }} HexCoord
  * @typedef {{ fill: string, stroke: string }} ColorPair
- * @typedef {'standard' | 'wall' | 'start' | 'end'} TileType
- * @typedef {'move' | 'start' | 'end' | 'wall' | 'standard'} ToolType
+ * @typedef {'standard' | 'wall' | 'start' | 'end' | 'road' | 'forest' | 'mud' | 'water'} TileType
+ * @typedef {'move' | 'start' | 'end' | 'wall' | 'standard' | 'road' | 'forest' | 'mud' | 'water'} ToolType
  * @typedef {{ x: number, y: number }} Point
- * @typedef {'empty' | 'maze' | 'scatter' | 'rooms'} MapType
+ * @typedef {'empty' | 'maze' | 'prim' | 'kruskal' | 'wilson' | 'eller' | 'hunt-and-kill' | 'scatter' | 'rooms' | 'caves' | 'terrain'} MapType
  */
 
-// Grid configuration
-export const GRID_WIDTH = 100;
-export const GRID_HEIGHT = 100;
-export const HEX_SIZE = 12;
-
-// Hexagon geometry (pointy-topped)
-export const HEX_WIDTH = Math.sqrt(3) * HEX_SIZE;
-export const HEX_HEIGHT = 2 * HEX_SIZE;
-export const HORIZ_SPACING = HEX_WIDTH;
-export const VERT_SPACING = HEX_HEIGHT * 0.75;
-
 /** @type {Record<import('./constants.js').TileType, import('./constants.js').ColorPair>} */
 export const TILE_TYPES = {
     standard: { fill: '#2a2a4a', stroke: '#4a4a6a' },
     wall:     { fill: '#1a1a1a', stroke: '#333' },
     start:    { fill: '#2ecc71', stroke: '#27ae60' },
-    end:      { fill: '#e74c3c', stroke: '#c0392b' }
+    end:      { fill: '#e74c3c', stroke: '#c0392b' },
+    road:     { fill: '#8d7b68', stroke: '#a4907c' },
+    forest:   { fill: '#1e5631', stroke: '#2d7a46' },
+    mud:      { fill: '#5c4033', stroke: '#7a5646' },
+    water:    { fill: '#1f4e79', stroke: '#2e6da4' }
+};
+
+// Movement cost for entering a tile (walls are impassable)
+/** @type {Record<import('./constants.js').TileType, number>} */
+export const TILE_COSTS = {
+    standard: 1,
+    wall:     Infinity,
+    start:    1,
+    end:      1,
+    road:     0.5,
+    forest:   2,
+    mud:      3,
+    water:    5
 };
 
 // Pathfinding visualization colors
 /** @type {import('./constants.js').ColorPair} */
 export const PATH_COLOR = { fill: '#ff08e8', stroke: '#cc06b9' };
 
+// Hexes waiting in the queue/stack/open set (the search's wavefront)
+/** @type {import('./constants.js').ColorPair} */
+export const FRONTIER_COLOR = { fill: '#bdf4ec', stroke: '#5ce1e6' };
+
+// Hexes expanded by an earlier iteration of an iterative search
+/** @type {import('./constants.js').ColorPair} */
+export const STALE_COLOR = { fill: '#3d3d62', stroke: '#52527a' };
+
+// Step debugger highlights (outlines drawn while a search is paused)
+export const DEBUG_COLORS = {
+    current: '#ffffff',
+    parent: '#f1c40f'
+};
+
 // Scale limits
-export const MIN_SCALE = 0.1;
+export const MIN_SCALE = 0.01;
 export const MAX_SCALE = 5;
 
+// Where bidirectional searches meet
+/** @type {import('./constants.js').ColorPair} */
+export const MEET_COLOR = { fill: '#f1c40f', stroke: '#fff3b0' };
+
+// Bidirectional searches colour each side within its own band of hues
+const SIDE_HUES = { start: 150, end: 10 };
+
 /**
  * Get visited cell color based on visit order (cycles through hues)
  * @param {number} visitOrder
+ * @param {import('./algorithms.js').SearchSide} [side] - which side of a bidirectional search expanded it
  * @returns {import('./constants.js').ColorPair}
  */
-export function getVisitedColor(visitOrder) {
-    // Cycle through hues over ~200 steps, then repeat
-    const hue = (visitOrder * 2.5) % 360;
+export function getVisitedColor(visitOrder, side) {
+    // Cycle through hues over ~200 steps, then repeat; each side sweeps back and forth over 60°
+    const hue = side
+        ? SIDE_HUES[side] + Math.abs((visitOrder * 0.5) % 120 - 60)
+        : (visitOrder * 2.5) % 360;
     // OKLCH gives perceptually uniform colors across the hue spectrum
     const fill = `oklch(45% 0.07 ${hue})`;
     const stroke = `oklch(55% 0.09 ${hue})`;
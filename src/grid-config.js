@@ -0,0 +1,140 @@
+/**
+ * Offset layouts: odd-r/even-r are pointy-topped with odd/even rows shoved right,
+ * odd-q/even-q are flat-topped with odd/even columns shoved down
+ * @typedef {'odd-r' | 'even-r' | 'odd-q' | 'even-q'} HexLayout
+ * @typedef {'pointy' | 'flat'} HexOrientation
+ * @typedef {{
+ *   width: number,
+ *   height: number,
+ *   hexSize: number,
+ *   layout: HexLayout,
+ *   orientation: HexOrientation,
+ *   hexWidth: number,
+ *   hexHeight: number,
+ *   horizSpacing: number,
+ *   vertSpacing: number
+ * }} GridConfig
+ * @typedef {{ width?: number, height?: number, hexSize?: number, layout?: string }} GridConfigOptions
+ */
+
+// Allowed ranges for runtime configuration
+export const GRID_SIZE_LIMITS = { min: 20, max: 1000 };
+export const HEX_SIZE_LIMITS = { min: 4, max: 40 };
+
+/** @type {Record<HexLayout, string>} */
+export const HEX_LAYOUTS = {
+    'odd-r': 'Pointy (odd-r)',
+    'even-r': 'Pointy (even-r)',
+    'odd-q': 'Flat (odd-q)',
+    'even-q': 'Flat (even-q)'
+};
+
+/**
+ * Shared grid configuration. Everything that depends on grid dimensions or hex
+ * geometry reads from this object, so it can be changed at runtime.
+ * @type {GridConfig}
+ */
+export const gridConfig = {
+    width: 100,
+    height: 100,
+    hexSize: 12,
+    layout: 'odd-r',
+    orientation: 'pointy',
+    hexWidth: 0,
+    hexHeight: 0,
+    horizSpacing: 0,
+    vertSpacing: 0
+};
+
+/**
+ * @param {number} value
+ * @param {{ min: number, max: number }} limits
+ * @returns {number}
+ */
+function clampToLimits(value, limits) {
+    return Math.min(limits.max, Math.max(limits.min, Math.round(value)));
+}
+
+/**
+ * @param {string} value
+ * @returns {value is HexLayout}
+ */
+function isHexLayout(value) {
+    return value in HEX_LAYOUTS;
+}
+
+/**
+ * Update grid dimensions, hex size and/or layout, clamping to the allowed
+ * ranges and recomputing the derived hexagon geometry
+ * @param {GridConfigOptions} options
+ */
+export function setGridConfig({ width, height, hexSize, layout }) {
+    if (width !== undefined && Number.isFinite(width)) {
+        gridConfig.width = clampToLimits(width, GRID_SIZE_LIMITS);
+    }
+    if (height !== undefined && Number.isFinite(height)) {
+        gridConfig.height = clampToLimits(height, GRID_SIZE_LIMITS);
+    }
+    if (hexSize !== undefined && Number.isFinite(hexSize)) {
+        gridConfig.hexSize = clampToLimits(hexSize, HEX_SIZE_LIMITS);
+    }
+
+    if (layout !== undefined && isHexLayout(layout)) {
+        gridConfig.layout = layout;
+    }
+    gridConfig.orientation = gridConfig.layout.endsWith('-r') ? 'pointy' : 'flat';
+
+    // Hexagon geometry
+    const size = gridConfig.hexSize;
+    if (gridConfig.orientation === 'pointy') {
+        gridConfig.hexWidth = Math.sqrt(3) * size;
+        gridConfig.hexHeight = 2 * size;
+        gridConfig.horizSpacing = gridConfig.hexWidth;
+        gridConfig.vertSpacing = gridConfig.hexHeight * 0.75;
+    } else {
+        gridConfig.hexWidth = 2 * size;
+        gridConfig.hexHeight = Math.sqrt(3) * size;
+        gridConfig.horizSpacing = gridConfig.hexWidth * 0.75;
+        gridConfig.vertSpacing = gridConfig.hexHeight;
+    }
+}
+
+/**
+ * Read grid configuration overrides from URL params (?width=, ?height=, ?hexSize=, ?layout=)
+ * @returns {GridConfigOptions}
+ */
+export function getGridConfigFromUrl() {
+    const urlParams = new URLSearchParams(window.location.search);
+    /** @type {GridConfigOptions} */
+    const options = {};
+    for (const name of /** @type {const} */ (['width', 'height', 'hexSize'])) {
+        const value = urlParams.get(name);
+        if (value !== null) {
+            options[name] = Number(value);
+        }
+    }
+    const layout = urlParams.get('layout');
+    if (layout !== null) {
+        options.layout = layout;
+    }
+    return options;
+}
+
+/**
+ * Reflect the current grid configuration in the URL without reloading. Any
+ * shared map in the URL no longer describes the grid, so it is dropped.
+ */
+export function writeGridConfigToUrl() {
+    const url = new URL(window.location.href);
+    for (const name of ['map', 'start', 'end']) {
+        url.searchParams.delete(name);
+    }
+    url.searchParams.set('width', String(gridConfig.width));
+    url.searchParams.set('height', String(gridConfig.height));
+    url.searchParams.set('hexSize', String(gridConfig.hexSize));
+    url.searchParams.set('layout', gridConfig.layout);
+    window.history.replaceState(null, '', url);
+}
+
+// Compute derived geometry for the defaults
+setGridConfig({});
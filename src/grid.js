@@ -1,8 +1,49 @@
 /**
  * @typedef {import('./constants.js').HexCoord} HexCoord
  * @typedef {import('./constants.js').TileType} TileType
+ *
+ * Statistics for the current/last search run. pathLength and pathCost are
+ * only meaningful once status is 'found'; optimalCost is then the cost of the
+ * cheapest path, from a reference Dijkstra run (null until that finishes).
+ * Iterative searches count their iterations and give the depth or f bound of
+ * the current one. elapsedMs is wall-clock time from the start of the run,
+ * including animation (and, when comparing, the other algorithms' turns).
+ * @typedef {'running' | 'found' | 'not-found' | 'cancelled'} SearchStatus
+ * @typedef {{
+ *   status: SearchStatus,
+ *   expanded: number,
+ *   frontier: number,
+ *   maxFrontier: number,
+ *   pathLength: number,
+ *   pathCost: number,
+ *   optimalCost: number | null,
+ *   iterations: number,
+ *   bound: number | null,
+ *   elapsedMs: number
+ * }} SearchStats
+ *
+ * Visualisation state for one algorithm's run. There is one per viewport:
+ * normally a single one, or one per algorithm in comparison mode. Iterative
+ * searches start each iteration afresh; staleHexes holds the hexes expanded
+ * by earlier iterations (drawn faded).
+ * @typedef {{
+ *   algorithm: string,
+ *   visitedHexes: Map<string, number>,
+ *   staleHexes: Set<string>,
+ *   frontierHexes: Set<string>,
+ *   parents: Map<string, string | null>,
+ *   scores: Map<string, import('./algorithms.js').CellScores>,
+ *   sides: Map<string, import('./algorithms.js').SearchSide>,
+ *   meetingPoint: string | null,
+ *   current: string | null,
+ *   pathHexes: Set<string>,
+ *   maxVisitOrder: number,
+ *   stats: SearchStats | null
+ * }} SearchState
  */
 
+import { TILE_COSTS } from './constants.js';
+
 // Grid state - Map with "col,row" keys
 /** @type {Map<string, TileType>} */
 export const grid = new Map();
@@ -14,19 +55,28 @@ let _startHex = null;
 let _endHex = null;
 
 // Pathfinding state
-/** @type {Map<string, number>} */
-export const visitedHexes = new Map();
-
-/** @type {Set<string>} */
-export const pathHexes = new Set();
+/** @type {SearchState[]} */
+let _searchStates = [createSearchState('')];
 
 let _isSearching = false;
-let _maxVisitOrder = 0;
+let _isPaused = false;
 
 // Callback for UI updates
 /** @type {(() => void) | null} */
 let _onGridChange = null;
 
+// Callback for individual tile edits (used for undo history)
+/** @type {((key: string, before: TileType | undefined, after: TileType | undefined) => void) | null} */
+let _onTileChange = null;
+
+/**
+ * Set callback for tile edits made through setHexType (used for undo history)
+ * @param {((key: string, before: TileType | undefined, after: TileType | undefined) => void) | null} callback
+ */
+export function setOnTileChange(callback) {
+    _onTileChange = callback;
+}
+
 /**
  * Set callback for grid changes (used for UI updates)
  * @param {() => void} callback
@@ -65,14 +115,58 @@ export function setIsSearching(value) {
     _isSearching = value;
 }
 
-/** @returns {number} */
-export function getMaxVisitOrder() {
-    return _maxVisitOrder;
+/** @returns {boolean} */
+export function getIsPaused() {
+    return _isPaused;
+}
+
+/** @param {boolean} value */
+export function setIsPaused(value) {
+    _isPaused = value;
+}
+
+/**
+ * @param {string} algorithm
+ * @returns {SearchState}
+ */
+function createSearchState(algorithm) {
+    return {
+        algorithm,
+        visitedHexes: new Map(),
+        staleHexes: new Set(),
+        frontierHexes: new Set(),
+        parents: new Map(),
+        scores: new Map(),
+        sides: new Map(),
+        meetingPoint: null,
+        current: null,
+        pathHexes: new Set(),
+        maxVisitOrder: 0,
+        stats: null
+    };
+}
+
+/** @returns {SearchState[]} */
+export function getSearchStates() {
+    return _searchStates;
+}
+
+/**
+ * Replace the search states with fresh ones, one per algorithm (and viewport)
+ * @param {string[]} algorithms
+ * @returns {SearchState[]}
+ */
+export function setSearchAlgorithms(algorithms) {
+    _searchStates = algorithms.map(createSearchState);
+    return _searchStates;
 }
 
-/** @param {number} value */
-export function setMaxVisitOrder(value) {
-    _maxVisitOrder = value;
+/**
+ * Stats of the primary (first) search state
+ * @returns {SearchStats | null}
+ */
+export function getSearchStats() {
+    return _searchStates[0].stats;
 }
 
 /**
@@ -84,6 +178,15 @@ export function getHexKey(col, row) {
     return `${col},${row}`;
 }
 
+/**
+ * @param {string} key - "col,row" key as produced by getHexKey
+ * @returns {HexCoord}
+ */
+export function parseHexKey(key) {
+    const [col, row] = key.split(',').map(Number);
+    return { col, row };
+}
+
 /**
  * @param {number} col
  * @param {number} row
@@ -93,6 +196,29 @@ export function getHexType(col, row) {
     return grid.get(getHexKey(col, row)) || 'standard';
 }
 
+/**
+ * Movement cost for entering a hex (Infinity for walls)
+ * @param {number} col
+ * @param {number} row
+ * @returns {number}
+ */
+export function getMoveCost(col, row) {
+    return TILE_COSTS[getHexType(col, row)];
+}
+
+/**
+ * Cheapest movement cost of any tile on the grid, used to keep
+ * distance heuristics admissible when cheap terrain is present
+ * @returns {number}
+ */
+export function getMinMoveCost() {
+    let min = TILE_COSTS.standard;
+    for (const type of grid.values()) {
+        min = Math.min(min, TILE_COSTS[type]);
+    }
+    return min;
+}
+
 /**
  * @param {number} col
  * @param {number} row
@@ -104,12 +230,12 @@ export function setHexType(col, row, type) {
     // Handle unique start/end nodes
     if (type === 'start') {
         if (_startHex) {
-            grid.delete(getHexKey(_startHex.col, _startHex.row));
+            writeTile(getHexKey(_startHex.col, _startHex.row), 'standard');
         }
         _startHex = { col, row };
     } else if (type === 'end') {
         if (_endHex) {
-            grid.delete(getHexKey(_endHex.col, _endHex.row));
+            writeTile(getHexKey(_endHex.col, _endHex.row), 'standard');
         }
         _endHex = { col, row };
     }
@@ -122,23 +248,73 @@ export function setHexType(col, row, type) {
         _endHex = null;
     }
 
-    if (type === 'standard') {
+    writeTile(key, type);
+
+    clearPathfinding();
+    if (_onGridChange) {
+        _onGridChange();
+    }
+}
+
+/**
+ * Write a single tile, reporting the change to the tile-change callback
+ * @param {string} key
+ * @param {TileType} type
+ */
+function writeTile(key, type) {
+    const before = grid.get(key);
+    const after = type === 'standard' ? undefined : type;
+    if (before === after) return;
+
+    if (after === undefined) {
         grid.delete(key);
     } else {
-        grid.set(key, type);
+        grid.set(key, after);
+    }
+    if (_onTileChange) {
+        _onTileChange(key, before, after);
+    }
+}
+
+/**
+ * Overwrite a set of tiles and the start/end in one go (used by undo/redo)
+ * @param {Map<string, TileType | undefined>} tiles - undefined restores a standard tile
+ * @param {HexCoord | null} startHex
+ * @param {HexCoord | null} endHex
+ */
+export function restoreTiles(tiles, startHex, endHex) {
+    for (const [key, type] of tiles) {
+        if (type === undefined) {
+            grid.delete(key);
+        } else {
+            grid.set(key, type);
+        }
     }
+    _startHex = startHex;
+    _endHex = endHex;
 
+    clearPathfinding();
     if (_onGridChange) {
         _onGridChange();
     }
-    clearPathfinding();
 }
 
 export function clearPathfinding() {
-    visitedHexes.clear();
-    pathHexes.clear();
+    for (const state of _searchStates) {
+        state.visitedHexes.clear();
+        state.staleHexes.clear();
+        state.frontierHexes.clear();
+        state.parents.clear();
+        state.scores.clear();
+        state.sides.clear();
+        state.meetingPoint = null;
+        state.current = null;
+        state.pathHexes.clear();
+        state.maxVisitOrder = 0;
+        state.stats = null;
+    }
     _isSearching = false;
-    _maxVisitOrder = 0;
+    _isPaused = false;
 }
 
 export function clearGrid() {
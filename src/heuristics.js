@@ -0,0 +1,33 @@
+/**
+ * @typedef {import('./algorithms.js').SearchOptions} SearchOptions
+ */
+
+import { heuristic, euclideanDistance } from './hex-utils.js';
+
+/**
+ * Estimate of the remaining cost between two hexes, in steps. Tunable
+ * heuristics read their setting from the search options.
+ * @typedef {(col1: number, row1: number, col2: number, row2: number, options: SearchOptions) => number} Heuristic
+ * @typedef {{ label: string, estimate: Heuristic }} HeuristicDefinition
+ */
+
+/** @type {Record<string, HeuristicDefinition>} */
+export const heuristics = {
+    hex: { label: 'Hex distance', estimate: heuristic },
+    euclidean: { label: 'Euclidean', estimate: euclideanDistance },
+    zero: { label: 'Zero (Dijkstra)', estimate: () => 0 },
+    inadmissible: {
+        label: 'Inadmissible (hex ×k)',
+        estimate: (col1, row1, col2, row2, { inadmissibleFactor }) => inadmissibleFactor * heuristic(col1, row1, col2, row2)
+    }
+};
+
+/**
+ * The chosen heuristic, with its settings applied
+ * @param {SearchOptions} options
+ * @returns {(col1: number, row1: number, col2: number, row2: number) => number}
+ */
+export function getHeuristic(options) {
+    const { estimate } = heuristics[options.heuristic];
+    return (col1, row1, col2, row2) => estimate(col1, row1, col2, row2, options);
+}
@@ -1,9 +1,66 @@
 /**
  * @typedef {import('./constants.js').HexCoord} HexCoord
  * @typedef {import('./constants.js').Point} Point
+ * @typedef {{ q: number, r: number }} AxialCoord
  */
 
-import { GRID_WIDTH, GRID_HEIGHT, HEX_SIZE, HEX_WIDTH, HORIZ_SPACING, VERT_SPACING } from './constants.js';
+import { gridConfig } from './grid-config.js';
+
+// Axial direction vectors, in the order neighbours are returned:
+// pointy-topped: E, NE, NW, W, SW, SE; flat-topped: SE, NE, N, NW, SW, S
+const AXIAL_DIRECTIONS = [
+    [+1, 0], [+1, -1], [0, -1],
+    [-1, 0], [-1, +1], [0, +1]
+];
+
+/**
+ * Whether a row (pointy layouts) or column (flat layouts) is shoved by half a hex
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isShifted(index) {
+    const parity = index & 1;
+    return gridConfig.layout.startsWith('odd') ? parity === 1 : parity === 0;
+}
+
+/**
+ * Convert offset (col, row) coordinates to axial coordinates for the current layout
+ * @param {number} col
+ * @param {number} row
+ * @returns {AxialCoord}
+ */
+export function offsetToAxial(col, row) {
+    switch (gridConfig.layout) {
+        case 'odd-r': return { q: col - (row - (row & 1)) / 2, r: row };
+        case 'even-r': return { q: col - (row + (row & 1)) / 2, r: row };
+        case 'odd-q': return { q: col, r: row - (col - (col & 1)) / 2 };
+        case 'even-q': return { q: col, r: row - (col + (col & 1)) / 2 };
+    }
+}
+
+/**
+ * Convert axial coordinates to offset (col, row) coordinates for the current layout
+ * @param {number} q
+ * @param {number} r
+ * @returns {HexCoord}
+ */
+export function axialToOffset(q, r) {
+    switch (gridConfig.layout) {
+        case 'odd-r': return { col: q + (r - (r & 1)) / 2, row: r };
+        case 'even-r': return { col: q + (r + (r & 1)) / 2, row: r };
+        case 'odd-q': return { col: q, row: r + (q - (q & 1)) / 2 };
+        case 'even-q': return { col: q, row: r + (q + (q & 1)) / 2 };
+    }
+}
+
+/**
+ * @param {number} col
+ * @param {number} row
+ * @returns {boolean}
+ */
+export function isInBounds(col, row) {
+    return col >= 0 && col < gridConfig.width && row >= 0 && row < gridConfig.height;
+}
 
 /**
  * Convert hex grid coordinates to pixel coordinates
@@ -12,11 +69,53 @@ import { GRID_WIDTH, GRID_HEIGHT, HEX_SIZE, HEX_WIDTH, HORIZ_SPACING, VERT_SPACI
  * @returns {Point}
  */
 export function hexToPixel(col, row) {
-    const x = HEX_WIDTH / 2 + col * HORIZ_SPACING + (row % 2) * (HORIZ_SPACING / 2);
-    const y = HEX_SIZE + row * VERT_SPACING;
+    const { orientation, hexWidth, hexHeight, horizSpacing, vertSpacing } = gridConfig;
+    if (orientation === 'pointy') {
+        const x = hexWidth / 2 + col * horizSpacing + (isShifted(row) ? horizSpacing / 2 : 0);
+        const y = hexHeight / 2 + row * vertSpacing;
+        return { x, y };
+    }
+    const x = hexWidth / 2 + col * horizSpacing;
+    const y = hexHeight / 2 + row * vertSpacing + (isShifted(col) ? vertSpacing / 2 : 0);
     return { x, y };
 }
 
+/**
+ * Total world-space size of the grid, including the half-hex shove
+ * @returns {{ width: number, height: number }}
+ */
+export function getGridWorldSize() {
+    const { width, height, hexWidth, hexHeight, horizSpacing, vertSpacing } = gridConfig;
+    return {
+        width: hexWidth + width * horizSpacing,
+        height: hexHeight + height * vertSpacing
+    };
+}
+
+/**
+ * Round fractional axial coordinates to the nearest hex (via cube coordinates)
+ * @param {number} fq
+ * @param {number} fr
+ * @returns {AxialCoord}
+ */
+function axialRound(fq, fr) {
+    const fs = -fq - fr;
+    let q = Math.round(fq);
+    let r = Math.round(fr);
+    const s = Math.round(fs);
+
+    const dq = Math.abs(q - fq);
+    const dr = Math.abs(r - fr);
+    const ds = Math.abs(s - fs);
+
+    if (dq > dr && dq > ds) {
+        q = -r - s;
+    } else if (dr > ds) {
+        r = -q - s;
+    }
+    return { q, r };
+}
+
 /**
  * Convert pixel coordinates to hex grid coordinates
  * @param {number} px
@@ -27,37 +126,27 @@ export function hexToPixel(col, row) {
  * @returns {HexCoord | null}
  */
 export function pixelToHex(px, py, offsetX, offsetY, scale) {
-    // Convert screen coords to world coords
-    const worldX = (px - offsetX) / scale;
-    const worldY = (py - offsetY) / scale;
-
-    // Approximate row
-    const approxRow = Math.round((worldY - HEX_SIZE) / VERT_SPACING);
-
-    // Check nearby rows for the closest hex
-    let closest = null;
-    let closestDist = Infinity;
-
-    for (let row = approxRow - 1; row <= approxRow + 1; row++) {
-        if (row < 0 || row >= GRID_HEIGHT) continue;
-
-        const rowOffset = (row % 2) * (HORIZ_SPACING / 2);
-        const approxCol = Math.round((worldX - HEX_WIDTH / 2 - rowOffset) / HORIZ_SPACING);
-
-        for (let col = approxCol - 1; col <= approxCol + 1; col++) {
-            if (col < 0 || col >= GRID_WIDTH) continue;
-
-            const { x, y } = hexToPixel(col, row);
-            const dist = Math.hypot(worldX - x, worldY - y);
-
-            if (dist < closestDist && dist < HEX_SIZE) {
-                closestDist = dist;
-                closest = { col, row };
-            }
-        }
+    // Convert screen coords to world coords, relative to the centre of hex (0, 0)
+    const origin = hexToPixel(0, 0);
+    const worldX = (px - offsetX) / scale - origin.x;
+    const worldY = (py - offsetY) / scale - origin.y;
+    const size = gridConfig.hexSize;
+
+    // Fractional axial coordinates
+    let fq, fr;
+    if (gridConfig.orientation === 'pointy') {
+        fq = (Math.sqrt(3) / 3 * worldX - worldY / 3) / size;
+        fr = (2 / 3 * worldY) / size;
+    } else {
+        fq = (2 / 3 * worldX) / size;
+        fr = (-worldX / 3 + Math.sqrt(3) / 3 * worldY) / size;
     }
 
-    return closest;
+    // Hex (0, 0) is axial (0, 0) in every layout, so no further offset is needed
+    const { q, r } = axialRound(fq, fr);
+    const hex = axialToOffset(q, r);
+
+    return isInBounds(hex.col, hex.row) ? hex : null;
 }
 
 /**
@@ -67,30 +156,34 @@ export function pixelToHex(px, py, offsetX, offsetY, scale) {
  * @returns {HexCoord[]}
  */
 export function getNeighbors(col, row) {
-    // Offset coordinates for pointy-topped hex grid (odd-r)
-    const evenRowOffsets = [
-        [+1, 0], [0, -1], [-1, -1],
-        [-1, 0], [-1, +1], [0, +1]
-    ];
-    const oddRowOffsets = [
-        [+1, 0], [+1, -1], [0, -1],
-        [-1, 0], [0, +1], [+1, +1]
-    ];
-
-    const offsets = (row % 2 === 0) ? evenRowOffsets : oddRowOffsets;
+    const { q, r } = offsetToAxial(col, row);
     const neighbors = [];
 
-    for (const [dc, dr] of offsets) {
-        const nc = col + dc;
-        const nr = row + dr;
-        if (nc >= 0 && nc < GRID_WIDTH && nr >= 0 && nr < GRID_HEIGHT) {
-            neighbors.push({ col: nc, row: nr });
+    for (const [dq, dr] of AXIAL_DIRECTIONS) {
+        const neighbor = axialToOffset(q + dq, r + dr);
+        if (isInBounds(neighbor.col, neighbor.row)) {
+            neighbors.push(neighbor);
         }
     }
 
     return neighbors;
 }
 
+/**
+ * Get the neighbouring hex in one of the six directions (numbered in the
+ * order getNeighbors returns them, so direction + 1 is the next one round)
+ * @param {number} col
+ * @param {number} row
+ * @param {number} direction - any integer, taken modulo 6
+ * @returns {HexCoord | null} null if the neighbour is off the grid
+ */
+export function getNeighborInDirection(col, row, direction) {
+    const { q, r } = offsetToAxial(col, row);
+    const [dq, dr] = AXIAL_DIRECTIONS[((direction % 6) + 6) % 6];
+    const neighbor = axialToOffset(q + dq, r + dr);
+    return isInBounds(neighbor.col, neighbor.row) ? neighbor : null;
+}
+
 /**
  * Heuristic for A* and Greedy (hex distance)
  * @param {number} col1
@@ -101,15 +194,26 @@ export function getNeighbors(col, row) {
  */
 export function heuristic(col1, row1, col2, row2) {
     // Convert offset to cube coordinates for accurate hex distance
-    const x1 = col1 - (row1 - (row1 & 1)) / 2;
-    const z1 = row1;
-    const y1 = -x1 - z1;
+    const a = offsetToAxial(col1, row1);
+    const b = offsetToAxial(col2, row2);
+    const dq = a.q - b.q;
+    const dr = a.r - b.r;
 
-    const x2 = col2 - (row2 - (row2 & 1)) / 2;
-    const z2 = row2;
-    const y2 = -x2 - z2;
+    return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
 
-    return (Math.abs(x1 - x2) + Math.abs(y1 - y2) + Math.abs(z1 - z2)) / 2;
+/**
+ * Straight-line distance between hex centres, in hexes (neighbours are 1 apart)
+ * @param {number} col1
+ * @param {number} row1
+ * @param {number} col2
+ * @param {number} row2
+ * @returns {number}
+ */
+export function euclideanDistance(col1, row1, col2, row2) {
+    const a = hexToPixel(col1, row1);
+    const b = hexToPixel(col2, row2);
+    return Math.hypot(b.x - a.x, b.y - a.y) / (Math.sqrt(3) * gridConfig.hexSize);
 }
 
 /**
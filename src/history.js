@@ -0,0 +1,211 @@
+/**
+ * @typedef {import('./constants.js').HexCoord} HexCoord
+ * @typedef {import('./constants.js').TileType} TileType
+ *
+ * One undoable action: the before/after value of every tile it touched
+ * (undefined = standard) plus the start/end positions either side of it
+ * @typedef {{
+ *   tiles: Map<string, { before: TileType | undefined, after: TileType | undefined }>,
+ *   startBefore: HexCoord | null,
+ *   startAfter: HexCoord | null,
+ *   endBefore: HexCoord | null,
+ *   endAfter: HexCoord | null
+ * }} HistoryEntry
+ */
+
+import { grid, getStartHex, getEndHex, setOnTileChange, restoreTiles } from './grid.js';
+
+// Oldest actions are dropped beyond this many
+const MAX_HISTORY = 100;
+
+/** @type {HistoryEntry[]} */
+const undoStack = [];
+/** @type {HistoryEntry[]} */
+const redoStack = [];
+
+// Action being recorded (e.g. a drag stroke in progress)
+/** @type {HistoryEntry | null} */
+let pending = null;
+
+// Callback for UI updates (undo/redo button state)
+/** @type {(() => void) | null} */
+let _onHistoryChange = null;
+
+/**
+ * Set callback for history changes (used for UI updates)
+ * @param {() => void} callback
+ */
+export function setOnHistoryChange(callback) {
+    _onHistoryChange = callback;
+}
+
+function notify() {
+    if (_onHistoryChange) {
+        _onHistoryChange();
+    }
+}
+
+/** @returns {boolean} */
+export function canUndo() {
+    return undoStack.length > 0;
+}
+
+/** @returns {boolean} */
+export function canRedo() {
+    return redoStack.length > 0;
+}
+
+/** @param {HexCoord | null} hex */
+function copyHex(hex) {
+    return hex ? { col: hex.col, row: hex.row } : null;
+}
+
+/**
+ * @param {HexCoord | null} a
+ * @param {HexCoord | null} b
+ * @returns {boolean}
+ */
+function sameHex(a, b) {
+    return a === b || (a !== null && b !== null && a.col === b.col && a.row === b.row);
+}
+
+/**
+ * Start recording an action. Every setHexType call until endAction()
+ * becomes part of it, so a whole drag stroke undoes in one step.
+ */
+export function beginAction() {
+    if (pending) endAction();
+
+    /** @type {HistoryEntry} */
+    const entry = {
+        tiles: new Map(),
+        startBefore: copyHex(getStartHex()),
+        startAfter: null,
+        endBefore: copyHex(getEndHex()),
+        endAfter: null
+    };
+    pending = entry;
+
+    setOnTileChange((key, before, after) => {
+        const existing = entry.tiles.get(key);
+        if (existing) {
+            existing.after = after;
+        } else {
+            entry.tiles.set(key, { before, after });
+        }
+    });
+}
+
+/**
+ * Finish the action started by beginAction() and push it onto the undo stack
+ * (empty actions, e.g. a click that changed nothing, are discarded)
+ */
+export function endAction() {
+    if (!pending) return;
+    const entry = pending;
+    pending = null;
+    setOnTileChange(null);
+
+    entry.startAfter = copyHex(getStartHex());
+    entry.endAfter = copyHex(getEndHex());
+    for (const [key, { before, after }] of entry.tiles) {
+        if (before === after) entry.tiles.delete(key);
+    }
+    push(entry);
+}
+
+/**
+ * Record a bulk edit that writes to the grid directly (map generation,
+ * import) by diffing the grid before and after it runs
+ * @param {() => void} fn
+ */
+export function recordBulkAction(fn) {
+    if (pending) endAction();
+
+    const snapshot = new Map(grid);
+    const startBefore = copyHex(getStartHex());
+    const endBefore = copyHex(getEndHex());
+
+    fn();
+
+    /** @type {HistoryEntry} */
+    const entry = {
+        tiles: new Map(),
+        startBefore,
+        startAfter: copyHex(getStartHex()),
+        endBefore,
+        endAfter: copyHex(getEndHex())
+    };
+    for (const [key, before] of snapshot) {
+        const after = grid.get(key);
+        if (before !== after) entry.tiles.set(key, { before, after });
+    }
+    for (const [key, after] of grid) {
+        if (!snapshot.has(key)) entry.tiles.set(key, { before: undefined, after });
+    }
+    push(entry);
+}
+
+/** @param {HistoryEntry} entry */
+function push(entry) {
+    const unchanged = entry.tiles.size === 0 &&
+        sameHex(entry.startBefore, entry.startAfter) &&
+        sameHex(entry.endBefore, entry.endAfter);
+    if (unchanged) return;
+
+    undoStack.push(entry);
+    if (undoStack.length > MAX_HISTORY) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+    notify();
+}
+
+/**
+ * Revert the most recent action
+ * @returns {boolean} true if something was undone
+ */
+export function undo() {
+    if (pending) endAction();
+    const entry = undoStack.pop();
+    if (!entry) return false;
+
+    /** @type {Map<string, TileType | undefined>} */
+    const tiles = new Map();
+    for (const [key, { before }] of entry.tiles) tiles.set(key, before);
+    restoreTiles(tiles, copyHex(entry.startBefore), copyHex(entry.endBefore));
+
+    redoStack.push(entry);
+    notify();
+    return true;
+}
+
+/**
+ * Re-apply the most recently undone action
+ * @returns {boolean} true if something was redone
+ */
+export function redo() {
+    if (pending) endAction();
+    const entry = redoStack.pop();
+    if (!entry) return false;
+
+    /** @type {Map<string, TileType | undefined>} */
+    const tiles = new Map();
+    for (const [key, { after }] of entry.tiles) tiles.set(key, after);
+    restoreTiles(tiles, copyHex(entry.startAfter), copyHex(entry.endAfter));
+
+    undoStack.push(entry);
+    notify();
+    return true;
+}
+
+/**
+ * Forget all history (e.g. when the grid dimensions change)
+ */
+export function clearHistory() {
+    pending = null;
+    setOnTileChange(null);
+    undoStack.length = 0;
+    redoStack.length = 0;
+    notify();
+}
@@ -3,13 +3,25 @@
  * @typedef {import('./constants.js').ToolType} ToolType
  * @typedef {import('./constants.js').Point} Point
  * @typedef {import('./constants.js').MapType} MapType
+ * @typedef {import('./map-generators.js').MapOptions} MapOptions
  */
 
-import { setHexType, getStartHex, getEndHex, getIsSearching } from './grid.js';
+import { setHexType, getStartHex, getEndHex, getIsSearching, getIsPaused, getSearchStats, getSearchStates } from './grid.js';
 import { pixelToHex, toCanvasCoords } from './hex-utils.js';
 import { mapGenerators } from './map-generators.js';
-import { runPathfinding, cancelPathfinding } from './pathfinding.js';
-import { getCanvas, getOffsetX, getOffsetY, getScale, setOffsetX, setOffsetY, setHoveredHex, getHoveredHex, zoomToward, fitGridToView, draw } from './renderer.js';
+import { algorithms } from './algorithms.js';
+import { runPathfinding, cancelPathfinding, pausePathfinding, resumePathfinding, stepPathfinding } from './pathfinding.js';
+import { exportMap, parseMap, applyMap } from './map-io.js';
+import { buildShareUrl, applySharedMapFromUrl } from './share.js';
+import { beginAction, endAction, recordBulkAction, clearHistory, undo, redo, canUndo, canRedo } from './history.js';
+import { gridConfig, writeGridConfigToUrl } from './grid-config.js';
+import { createRandom, randomSeed } from './random.js';
+import { updateStatsPanel } from './stats-panel.js';
+import { updateSettingsPanel } from './settings-panel.js';
+import { getComparedAlgorithms, COMPARE_LIMITS } from './compare-panel.js';
+import { getSearchOptions, updateSearchOptions } from './search-options.js';
+import { getMapOptions, setMapOptions, getAllMapOptionNames, updateMapOptions } from './map-options.js';
+import { getCanvas, getOffsetX, getOffsetY, getScale, setOffsetX, setOffsetY, setHoveredHex, getHoveredHex, zoomToward, fitGridToView, toViewportCoords, getShowScores, setShowScores, scoreLabelsFit, getShowArrows, setShowArrows, arrowsFit, draw } from './renderer.js';
 
 // Interaction state
 let isPanning = false;
@@ -23,6 +35,13 @@ let lastPaintedHex = null;
 /** @type {ToolType} */
 let selectedTileType = 'move';
 
+// Generator, seed and the map options it read behind the current map (for share links)
+/** @type {MapType} */
+let currentMapType = 'empty';
+let currentSeed = '';
+/** @type {MapOptions} */
+let currentMapOptions = {};
+
 // Pinch zoom state
 /** @type {number | null} */
 let lastPinchDist = null;
@@ -36,12 +55,39 @@ let tileButtons;
 let goBtn;
 /** @type {HTMLElement} */
 let goBtnTooltip;
+/** @type {HTMLButtonElement} */
+let pauseBtn;
+/** @type {HTMLButtonElement} */
+let stepBtn;
+/** @type {HTMLButtonElement} */
+let stepBackBtn;
 /** @type {HTMLSelectElement} */
 let algorithmSelect;
 /** @type {HTMLSelectElement} */
 let mapSelect;
+/** @type {HTMLSelectElement} */
+let speedSelect;
 /** @type {HTMLButtonElement} */
 let generateBtn;
+/** @type {HTMLInputElement} */
+let seedInput;
+/** @type {HTMLElement} */
+let runStatus;
+/** @type {HTMLElement} */
+let messageEl;
+/** @type {HTMLButtonElement} */
+let undoBtn;
+/** @type {HTMLButtonElement} */
+let redoBtn;
+
+/**
+ * Tools that paint tiles while dragging (start/end are click-to-place)
+ * @param {ToolType} type
+ * @returns {boolean}
+ */
+function isPaintTool(type) {
+    return type !== 'move' && type !== 'start' && type !== 'end';
+}
 
 export function updateGoButton() {
     const startHex = getStartHex();
@@ -50,7 +96,9 @@ export function updateGoButton() {
 
     const hasStart = startHex !== null;
     const hasEnd = endHex !== null;
-    const canGo = hasStart && hasEnd && !isSearching;
+    const compared = getComparedAlgorithms();
+    const enoughCompared = !compared || compared.length >= COMPARE_LIMITS.min;
+    const canGo = hasStart && hasEnd && enoughCompared && !isSearching;
 
     if (isSearching) {
         goBtn.disabled = false;
@@ -63,6 +111,8 @@ export function updateGoButton() {
         goBtn.classList.remove('cancel');
         if (canGo) {
             goBtnTooltip.textContent = 'Find path from start to end';
+        } else if (!enoughCompared) {
+            goBtnTooltip.textContent = `Pick at least ${COMPARE_LIMITS.min} algorithms to compare`;
         } else if (!hasStart && !hasEnd) {
             goBtnTooltip.textContent = 'Set a start and end point first';
         } else if (!hasStart) {
@@ -71,13 +121,190 @@ export function updateGoButton() {
             goBtnTooltip.textContent = 'Set an end point first';
         }
     }
+
+    // Step debugger: stepping while idle starts a paused search
+    const isPaused = getIsPaused();
+    pauseBtn.disabled = !isSearching;
+    pauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
+    stepBtn.disabled = isSearching ? !isPaused : !canGo;
+    stepBackBtn.disabled = !isPaused;
+}
+
+export function updateRunStatus() {
+    // In comparison mode the stats table reports each run instead
+    const stats = getSearchStates().length === 1 ? getSearchStats() : null;
+    if (stats?.status === 'found') {
+        runStatus.textContent = `Path length: ${stats.pathLength} | Path cost: ${stats.pathCost}`;
+    } else if (stats?.status === 'not-found') {
+        runStatus.textContent = 'No path found';
+    } else {
+        runStatus.textContent = '';
+    }
+    updateStatsPanel();
+}
+
+/**
+ * Run the selected algorithm(s) from start to end
+ */
+function startSearch() {
+    // Redraw the statistics with every animation frame
+    runPathfinding(getSelectedAlgorithms(), getSearchOptions(), () => {
+        draw();
+        updateStatsPanel();
+    }, () => {
+        updateGoButton();
+        updateRunStatus();
+    });
+}
+
+function togglePause() {
+    if (!getIsSearching()) return;
+    if (getIsPaused()) {
+        resumePathfinding();
+    } else {
+        pausePathfinding();
+    }
+    updateGoButton();
+}
+
+/**
+ * Step a paused search forward or back; stepping forward while idle starts
+ * a new search, paused before its first expansion
+ * @param {'forward' | 'back'} direction
+ */
+function stepSearch(direction) {
+    if (getIsPaused()) {
+        stepPathfinding(direction);
+    } else if (direction === 'forward' && !getIsSearching() && !stepBtn.disabled) {
+        pausePathfinding();
+        startSearch();
+    }
+}
+
+/**
+ * Show a short message in the status bar (e.g. import results)
+ * @param {string} text
+ * @param {boolean} [isError]
+ */
+export function showMessage(text, isError = false) {
+    messageEl.textContent = text;
+    messageEl.classList.toggle('error', isError);
+}
+
+/**
+ * Put a link to the current scenario in the address bar and clipboard
+ */
+async function shareScenario() {
+    const { url, includesMap } = buildShareUrl({
+        algorithm: algorithmSelect.value,
+        speed: speedSelect.value,
+        generator: currentMapType,
+        seed: currentSeed,
+        mapOptions: currentMapOptions
+    });
+    window.history.replaceState(null, '', url);
+
+    let copied = false;
+    try {
+        await navigator.clipboard.writeText(url);
+        copied = true;
+    } catch {
+        // Clipboard access can be denied; the link is still in the address bar
+    }
+
+    const where = copied ? 'Link copied to clipboard' : 'Link is in the address bar';
+    if (includesMap) {
+        showMessage(`${where}.`);
+    } else {
+        showMessage(`${where}, but the map is too large to fit in it - the link regenerates the map from its seed without later edits. Use Export to share it exactly.`, true);
+    }
+}
+
+/**
+ * Generate the initial map and apply a shared scenario from URL params
+ * (?gen=, ?seed=, map options such as ?braid= or ?octaves=, ?map=, ?start=, ?end=, ?algo=, ?speed=)
+ */
+export function applyUrlScenario() {
+    const urlParams = new URLSearchParams(window.location.search);
+
+    const mapType = urlParams.get('gen');
+    if (mapType !== null) {
+        if (mapType in mapGenerators) {
+            mapSelect.value = mapType;
+        } else {
+            showMessage(`Unknown map type "${mapType}" in link.`, true);
+        }
+    }
+    const selectedType = /** @type {MapType} */ (mapSelect.value);
+    /** @type {MapOptions} */
+    const mapOptions = {};
+    for (const name of Object.keys(getMapOptions(selectedType))) {
+        const value = urlParams.get(name);
+        if (value !== null) mapOptions[name] = Number(value);
+    }
+    setMapOptions(selectedType, mapOptions);
+    updateMapOptions(selectedType);
+    generateMap(selectedType, urlParams.get('seed') ?? randomSeed());
+
+    try {
+        applySharedMapFromUrl();
+    } catch (err) {
+        const reason = err instanceof Error ? err.message : String(err);
+        showMessage(`Could not load the shared map: ${reason}`, true);
+    }
+
+    const algorithm = urlParams.get('algo');
+    if (algorithm !== null) {
+        if (algorithm in algorithms) {
+            algorithmSelect.value = algorithm;
+        } else {
+            showMessage(`Unknown algorithm "${algorithm}" in link.`, true);
+        }
+    }
+
+    const speed = urlParams.get('speed');
+    if (speed !== null && Array.from(speedSelect.options).some(option => option.value === speed)) {
+        speedSelect.value = speed;
+    }
+}
+
+/**
+ * Load a map file chosen by the user, reporting validation errors
+ * @param {File} file
+ */
+async function importMapFile(file) {
+    try {
+        const data = parseMap(await file.text());
+        cancelPathfinding();
+        const sameShape = data.width === gridConfig.width &&
+            data.height === gridConfig.height &&
+            data.layout === gridConfig.layout;
+        if (sameShape) {
+            recordBulkAction(() => applyMap(data));
+        } else {
+            // Undo entries refer to the old grid shape
+            applyMap(data);
+            clearHistory();
+        }
+        // Otherwise Apply would put back the old grid size
+        updateSettingsPanel();
+        writeGridConfigToUrl();
+        fitGridToView();
+        updateGoButton();
+        updateRunStatus();
+        draw();
+        showMessage(`Loaded ${file.name}`);
+    } catch (err) {
+        const reason = err instanceof Error ? err.message : String(err);
+        showMessage(`Could not load ${file.name}: ${reason}`, true);
+    }
 }
 
 function updateCursor() {
     const canvas = getCanvas();
     if (selectedTileType === 'move') {
         canvas.style.cursor = 'grab';
-    } else if (selectedTileType === 'wall' || selectedTileType === 'standard') {
+    } else if (isPaintTool(selectedTileType)) {
         canvas.style.cursor = 'crosshair';
     } else {
         canvas.style.cursor = 'pointer';
@@ -85,17 +312,95 @@ function updateCursor() {
 }
 
 /**
+ * Generate a map from a seed; the same type and seed always give the same map
  * @param {MapType} type
+ * @param {string} seed
  */
-function generateMap(type) {
+function generateMap(type, seed) {
     const generator = mapGenerators[type];
     if (generator) {
-        generator();
+        const options = getMapOptions(type);
+        cancelPathfinding();
+        recordBulkAction(() => generator.generate(createRandom(seed), options));
+        currentMapType = type;
+        currentSeed = seed;
+        currentMapOptions = options;
+        seedInput.value = seed;
         updateGoButton();
+        updateRunStatus();
         draw();
     }
 }
 
+/**
+ * Algorithms the next run uses: the ticked ones in comparison mode, otherwise
+ * the one in the dropdown
+ * @returns {string[]}
+ */
+export function getSelectedAlgorithms() {
+    const compared = getComparedAlgorithms();
+    return compared && compared.length > 0 ? compared : [algorithmSelect.value];
+}
+
+export function updateHistoryButtons() {
+    undoBtn.disabled = !canUndo();
+    redoBtn.disabled = !canRedo();
+}
+
+/**
+ * Step backwards or forwards through the edit history
+ * @param {'undo' | 'redo'} direction
+ */
+function stepHistory(direction) {
+    if (getIsSearching()) cancelPathfinding();
+    const changed = direction === 'undo' ? undo() : redo();
+    if (changed) draw();
+}
+
+/**
+ * Regenerate the map type currently chosen in the map dropdown, reusing the
+ * seed in the seed field (or a fresh one if it is empty)
+ */
+export function generateSelectedMap() {
+    generateMap(/** @type {MapType} */ (mapSelect.value), seedInput.value.trim() || randomSeed());
+}
+
+/**
+ * Regenerate the map type in the map dropdown from the seed field, e.g. after
+ * the seed or a map option changed, and record it in the URL
+ */
+export function regenerateSelectedMap() {
+    generateSelectedMap();
+    writeGeneratorToUrl();
+}
+
+/**
+ * Record the current map type, seed and map options in the URL so a reload
+ * reproduces the map. Any shared map in the URL is now stale, so it is dropped.
+ */
+function writeGeneratorToUrl() {
+    const url = new URL(window.location.href);
+    for (const name of ['map', 'start', 'end', ...getAllMapOptionNames()]) {
+        url.searchParams.delete(name);
+    }
+    url.searchParams.set('gen', currentMapType);
+    url.searchParams.set('seed', currentSeed);
+    for (const [name, value] of Object.entries(currentMapOptions)) {
+        url.searchParams.set(name, String(value));
+    }
+    window.history.replaceState(null, '', url);
+}
+
+/**
+ * Hex under a canvas point, in whichever viewport the point falls
+ * @param {Point} pos
+ * @returns {HexCoord | null}
+ */
+function hexAt(pos) {
+    const local = toViewportCoords(pos);
+    return pixelToHex(local.x, local.y, getOffsetX(), getOffsetY(), getScale());
+}
+
 /**
  * @param {Touch} t0
  * @param {Touch} t1
@@ -118,9 +423,27 @@ export function initInput() {
     tileButtons = /** @type {NodeListOf<HTMLButtonElement>} */ (document.querySelectorAll('.tile-btn'));
     goBtn = /** @type {HTMLButtonElement} */ (document.getElementById('go-btn'));
     goBtnTooltip = /** @type {HTMLElement} */ (document.getElementById('go-btn-tooltip'));
+    pauseBtn = /** @type {HTMLButtonElement} */ (document.getElementById('pause-btn'));
+    stepBtn = /** @type {HTMLButtonElement} */ (document.getElementById('step-btn'));
+    stepBackBtn = /** @type {HTMLButtonElement} */ (document.getElementById('step-back-btn'));
     algorithmSelect = /** @type {HTMLSelectElement} */ (document.getElementById('algorithm-select'));
     mapSelect = /** @type {HTMLSelectElement} */ (document.getElementById('map-select'));
+    speedSelect = /** @type {HTMLSelectElement} */ (document.getElementById('speed-select'));
     generateBtn = /** @type {HTMLButtonElement} */ (document.getElementById('generate-btn'));
+    seedInput = /** @type {HTMLInputElement} */ (document.getElementById('seed-input'));
+    runStatus = /** @type {HTMLElement} */ (document.getElementById('run-status'));
+    messageEl = /** @type {HTMLElement} */ (document.getElementById('message'));
+    undoBtn = /** @type {HTMLButtonElement} */ (document.getElementById('undo-btn'));
+    redoBtn = /** @type {HTMLButtonElement} */ (document.getElementById('redo-btn'));
+    const exportBtn = /** @type {HTMLButtonElement} */ (document.getElementById('export-btn'));
+    const importBtn = /** @type {HTMLButtonElement} */ (document.getElementById('import-btn'));
+    const importInput = /** @type {HTMLInputElement} */ (document.getElementById('import-input'));
+
+    // Populate algorithm dropdown from the registry
+    for (const [id, { label }] of Object.entries(algorithms)) {
+        algorithmSelect.add(new Option(label, id));
+    }
+    algorithmSelect.addEventListener('change', () => updateSearchOptions(getSelectedAlgorithms()));
 
     // Mouse handlers
     canvas.addEventListener('mousedown', (e) => {
@@ -134,9 +457,10 @@ export function initInput() {
             panStartX = pos.x - getOffsetX();
             panStartY = pos.y - getOffsetY();
             canvas.style.cursor = 'grabbing';
-        } else if (selectedTileType === 'wall' || selectedTileType === 'standard') {
-            // Draw mode - paint immediately on mousedown
-            const hex = pixelToHex(pos.x, pos.y, getOffsetX(), getOffsetY(), getScale());
+        } else if (isPaintTool(selectedTileType)) {
+            // Draw mode - paint immediately on mousedown; the whole stroke is one undo step
+            beginAction();
+            const hex = hexAt(pos);
             if (hex) {
                 setHexType(hex.col, hex.row, selectedTileType);
                 lastPaintedHex = hex;
@@ -151,7 +475,7 @@ export function initInput() {
         const hoveredHex = getHoveredHex();
 
         // Update hover
-        const newHovered = pixelToHex(pos.x, pos.y, getOffsetX(), getOffsetY(), getScale());
+        const newHovered = hexAt(pos);
         const hoverChanged = (!hoveredHex && newHovered) ||
                             (hoveredHex && !newHovered) ||
                             (hoveredHex && newHovered && (hoveredHex.col !== newHovered.col || hoveredHex.row !== newHovered.row));
@@ -166,11 +490,11 @@ export function initInput() {
                 // Pan
                 setOffsetX(pos.x - panStartX);
                 setOffsetY(pos.y - panStartY);
-                setHoveredHex(pixelToHex(pos.x, pos.y, getOffsetX(), getOffsetY(), getScale()));
+                setHoveredHex(hexAt(pos));
                 draw();
-            } else if (selectedTileType === 'wall' || selectedTileType === 'standard') {
+            } else if (isPaintTool(selectedTileType)) {
                 // Draw mode - paint as we drag
-                const hex = pixelToHex(pos.x, pos.y, getOffsetX(), getOffsetY(), getScale());
+                const hex = hexAt(pos);
                 if (hex && (!lastPaintedHex || hex.col !== lastPaintedHex.col || hex.row !== lastPaintedHex.row)) {
                     setHexType(hex.col, hex.row, selectedTileType);
                     lastPaintedHex = hex;
@@ -186,13 +510,16 @@ export function initInput() {
             // Start/End: click to place
             const dist = Math.hypot(pos.x - mouseDownPos.x, pos.y - mouseDownPos.y);
             if (dist < 5) {
-                const hex = pixelToHex(pos.x, pos.y, getOffsetX(), getOffsetY(), getScale());
+                const hex = hexAt(pos);
                 if (hex) {
+                    beginAction();
                     setHexType(hex.col, hex.row, selectedTileType);
+                    endAction();
                     draw();
                 }
             }
         }
+        endAction();
         isMouseDown = false;
         isPanning = false;
         mouseDownPos = null;
@@ -201,6 +528,7 @@ export function initInput() {
     });
 
     canvas.addEventListener('mouseleave', () => {
+        endAction();
         isMouseDown = false;
         isPanning = false;
         mouseDownPos = null;
@@ -215,7 +543,8 @@ export function initInput() {
         e.preventDefault();
         const pos = toCanvasCoords(e.clientX, e.clientY, canvas);
         const zoomFactor = e.deltaY < 0 ? 1.03 : 0.97;
-        zoomToward(getScale() * zoomFactor, pos.x, pos.y);
+        const focus = toViewportCoords(pos);
+        zoomToward(getScale() * zoomFactor, focus.x, focus.y);
         draw();
     }, { passive: false });
 
@@ -240,7 +569,8 @@ export function initInput() {
 
             // Zoom based on pinch distance change
             const zoomFactor = pinchDist / lastPinchDist;
-            zoomToward(getScale() * zoomFactor, pinchCenter.x, pinchCenter.y);
+            const focus = toViewportCoords(pinchCenter);
+            zoomToward(getScale() * zoomFactor, focus.x, focus.y);
 
             // Pan based on pinch center movement
             setOffsetX(getOffsetX() + pinchCenter.x - lastPinchCenter.x);
@@ -261,13 +591,41 @@ export function initInput() {
 
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        // Keys typed into a field (e.g. a seed) are for the field, not shortcuts
+        if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement ||
+            e.target instanceof HTMLTextAreaElement) {
+            return;
+        }
+        // Ctrl+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo (Cmd on macOS)
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                e.preventDefault();
+                stepHistory(key === 'z' && !e.shiftKey ? 'undo' : 'redo');
+            }
+            return;
+        }
+        // Space to pause/resume a search, arrow keys to step while paused
+        if (e.key === ' ' && getIsSearching()) {
+            e.preventDefault();
+            togglePause();
+            return;
+        }
+        if ((e.key === 'ArrowRight' || e.key === 'ArrowLeft') && getIsPaused()) {
+            e.preventDefault();
+            stepSearch(e.key === 'ArrowRight' ? 'forward' : 'back');
+            return;
+        }
         if (e.key === 'r' || e.key === 'R') {
             fitGridToView();
             draw();
         }
         // Number keys for tool selection
         /** @type {Record<string, ToolType>} */
-        const typeMap = { '1': 'move', '2': 'start', '3': 'end', '4': 'wall', '5': 'standard' };
+        const typeMap = {
+            '1': 'move', '2': 'start', '3': 'end', '4': 'wall', '5': 'standard',
+            '6': 'road', '7': 'forest', '8': 'mud', '9': 'water'
+        };
         if (e.key in typeMap) {
             selectedTileType = typeMap[e.key];
             tileButtons.forEach(b => {
@@ -295,14 +653,74 @@ export function initInput() {
         if (isSearching) {
             cancelPathfinding();
         } else if (startHex && endHex) {
-            runPathfinding(algorithmSelect.value, draw, updateGoButton);
+            startSearch();
         }
     });
 
+    // Score labels toggle
+    const scoresBtn = /** @type {HTMLButtonElement} */ (document.getElementById('scores-btn'));
+    scoresBtn.addEventListener('click', () => {
+        setShowScores(!getShowScores());
+        scoresBtn.classList.toggle('active', getShowScores());
+        if (getShowScores() && !scoreLabelsFit()) {
+            showMessage('Zoom in to see the scores.');
+        }
+        draw();
+    });
+
+    // Parent arrows toggle
+    const arrowsBtn = /** @type {HTMLButtonElement} */ (document.getElementById('arrows-btn'));
+    arrowsBtn.addEventListener('click', () => {
+        setShowArrows(!getShowArrows());
+        arrowsBtn.classList.toggle('active', getShowArrows());
+        if (getShowArrows() && !arrowsFit()) {
+            showMessage('Zoom in to see the arrows.');
+        }
+        draw();
+    });
+
+    // Step debugger buttons
+    pauseBtn.addEventListener('click', togglePause);
+    stepBtn.addEventListener('click', () => stepSearch('forward'));
+    stepBackBtn.addEventListener('click', () => stepSearch('back'));
+
     // Generate button
     generateBtn.addEventListener('click', () => {
-        const mapType = /** @type {MapType} */ (mapSelect.value);
-        generateMap(mapType);
+        generateMap(/** @type {MapType} */ (mapSelect.value), randomSeed());
+        writeGeneratorToUrl();
+    });
+
+    // Seed field: entering a seed regenerates that exact map
+    seedInput.addEventListener('change', regenerateSelectedMap);
+
+    mapSelect.addEventListener('change', () => updateMapOptions(/** @type {MapType} */ (mapSelect.value)));
+
+    // Keep a shared link's ?speed= in step with the dropdown, since the URL param wins
+    speedSelect.addEventListener('change', () => {
+        const url = new URL(window.location.href);
+        if (url.searchParams.has('speed')) {
+            url.searchParams.set('speed', speedSelect.value);
+            window.history.replaceState(null, '', url);
+        }
+    });
+
+    // Undo/Redo buttons
+    undoBtn.addEventListener('click', () => stepHistory('undo'));
+    redoBtn.addEventListener('click', () => stepHistory('redo'));
+    updateHistoryButtons();
+
+    // Share button
+    const shareBtn = /** @type {HTMLButtonElement} */ (document.getElementById('share-btn'));
+    shareBtn.addEventListener('click', shareScenario);
+
+    // Export/Import buttons
+    exportBtn.addEventListener('click', exportMap);
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        const file = importInput.files && importInput.files[0];
+        // Reset so choosing the same file again still fires 'change'
+        importInput.value = '';
+        if (file) importMapFile(file);
     });
 
     // Initial cursor
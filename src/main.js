@@ -1,9 +1,19 @@
 // Entry point - imports and initializes all modules
 
-import { setOnGridChange } from './grid.js';
-import { mapGenerators } from './map-generators.js';
+import { setOnGridChange, setSearchAlgorithms } from './grid.js';
+import { setGridConfig, getGridConfigFromUrl } from './grid-config.js';
 import { initRenderer, fitGridToView, resizeCanvas, draw } from './renderer.js';
-import { initInput, updateGoButton } from './input.js';
+import { initInput, updateGoButton, updateRunStatus, updateHistoryButtons, generateSelectedMap, regenerateSelectedMap, applyUrlScenario, getSelectedAlgorithms } from './input.js';
+import { setOnHistoryChange, clearHistory } from './history.js';
+import { initSettingsPanel } from './settings-panel.js';
+import { initStatsPanel } from './stats-panel.js';
+import { initComparePanel } from './compare-panel.js';
+import { initSearchOptions, updateSearchOptions } from './search-options.js';
+import { initMapOptions } from './map-options.js';
+import { cancelPathfinding } from './pathfinding.js';
+
+// Apply grid size overrides from the URL before anything reads the config
+setGridConfig(getGridConfigFromUrl());
 
 // Get canvas element
 const canvas = /** @type {HTMLCanvasElement} */ (document.getElementById('canvas'));
@@ -18,15 +28,49 @@ canvas.height = initialRect.height;
 
 // Initialize input handlers (needs to happen before updateGoButton is called)
 initInput();
+initStatsPanel();
+initSearchOptions();
+
+// Map options (e.g. braid): rebuild the same map with the new setting
+initMapOptions(regenerateSelectedMap);
+
+// Comparison mode: one viewport (and set of results) per chosen algorithm
+initComparePanel(() => {
+    cancelPathfinding();
+    setSearchAlgorithms(getSelectedAlgorithms());
+    updateSearchOptions(getSelectedAlgorithms());
+    fitGridToView();
+    updateGoButton();
+    updateRunStatus();
+    draw();
+});
+
+// Grid settings: stop any running search and rebuild the map at the new size
+initSettingsPanel(() => {
+    cancelPathfinding();
+    generateSelectedMap();
+    // Undo entries refer to the old grid size
+    clearHistory();
+    fitGridToView();
+    draw();
+});
 
 // Set up grid change callback for UI updates
-setOnGridChange(updateGoButton);
+setOnGridChange(() => {
+    updateGoButton();
+    updateRunStatus();
+});
+
+// Generate the initial map (?gen= and ?seed= pick it) and load any shared scenario
+applyUrlScenario();
 
-// Generate initial map
-mapGenerators.empty();
+// The initial map is the baseline, not an undoable action
+clearHistory();
+setOnHistoryChange(updateHistoryButtons);
 
-// Update UI state after map generation
+// Update UI state after map generation (and any ?algo=)
 updateGoButton();
+updateSearchOptions(getSelectedAlgorithms());
 
 // Fit to view and render
 fitGridToView();
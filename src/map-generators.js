@@ -1,24 +1,99 @@
 /**
  * @typedef {import('./constants.js').HexCoord} HexCoord
  * @typedef {import('./constants.js').MapType} MapType
+ * @typedef {import('./random.js').Random} Random
+ * @typedef {import('./constants.js').TileType} TileType
+ * @typedef {{ label: string, min: number, max: number, step: number, default: number, unit?: string, title?: string }} MapOptionDefinition
+ * @typedef {Record<string, number>} MapOptions
+ * @typedef {{ generate: (random: Random, options: MapOptions) => void, options?: Record<string, MapOptionDefinition> }} MapGeneratorDefinition
  */
 
-import { GRID_WIDTH, GRID_HEIGHT } from './constants.js';
-import { grid, getHexKey, clearGrid, setStartHex, setEndHex, getStartHex, getEndHex } from './grid.js';
-import { getNeighbors, heuristic } from './hex-utils.js';
+import { gridConfig } from './grid-config.js';
+import { grid, getHexKey, parseHexKey, clearGrid, setStartHex, setEndHex, getStartHex, getEndHex } from './grid.js';
+import { getNeighbors, heuristic, hexToPixel } from './hex-utils.js';
+import { createValueNoise, fractalNoise } from './noise.js';
+import { createPriorityQueue, createQueue } from './priority-queue.js';
+import { generatePrimMaze, generateKruskalMaze, generateWilsonMaze, generateEllerMaze, generateHuntAndKillMaze, braidMaze } from './maze-generators.js';
+
+/** @type {MapOptionDefinition} */
+const BRAID_OPTION = {
+    label: 'Braid', min: 0, max: 100, step: 10, default: 0, unit: '%',
+    title: "Knock through this share of the maze's dead ends, giving loops and routes of different lengths"
+};
+
+/** @type {MapOptionDefinition} */
+const INSET_OPTION = {
+    label: 'Inset', min: 0, max: 50, step: 1, default: 5,
+    title: 'Hexes between the top-left and bottom-right corners and the start and end'
+};
 
-/** @type {Record<MapType, () => void>} */
+// Each generator declares the options it reads, with their ranges and
+// defaults; the map options panel offers those for the selected generator
+/** @type {Record<MapType, MapGeneratorDefinition>} */
 export const mapGenerators = {
-    empty: generateEmpty,
-    maze: generateMaze,
-    scatter: generateScattered,
-    rooms: generateRooms
+    empty: { generate: generateEmpty, options: { inset: INSET_OPTION } },
+    maze: { generate: generateMaze, options: { braid: BRAID_OPTION } },
+    prim: { generate: generatePrimMaze, options: { braid: BRAID_OPTION } },
+    kruskal: { generate: generateKruskalMaze, options: { braid: BRAID_OPTION } },
+    wilson: { generate: generateWilsonMaze, options: { braid: BRAID_OPTION } },
+    eller: { generate: generateEllerMaze, options: { braid: BRAID_OPTION } },
+    'hunt-and-kill': { generate: generateHuntAndKillMaze, options: { braid: BRAID_OPTION } },
+    scatter: {
+        generate: generateScattered,
+        options: {
+            density: { label: 'Density', min: 0, max: 0.6, step: 0.05, default: 0.3, title: 'Chance of each hex seeding a wall' },
+            clusterChance: { label: 'Clusters', min: 0, max: 1, step: 0.05, default: 0.6, title: 'Chance of a wall spreading to its neighbours' },
+            inset: INSET_OPTION
+        }
+    },
+    rooms: {
+        generate: generateRooms,
+        options: {
+            roomCount: { label: 'Rooms', min: 2, max: 30, step: 1, default: 12, title: 'Rooms carved, each joined to the next by a corridor' },
+            minRoomSize: { label: 'Min size', min: 3, max: 20, step: 1, default: 6, title: 'Smallest room width and height in hexes' },
+            maxRoomSize: { label: 'Max size', min: 3, max: 20, step: 1, default: 15, title: 'Largest room width and height in hexes' }
+        }
+    },
+    caves: {
+        generate: generateCaves,
+        options: {
+            fillChance: { label: 'Fill', min: 0.3, max: 0.6, step: 0.01, default: 0.45, title: 'Chance of each hex starting as wall, before smoothing' },
+            smoothingPasses: { label: 'Smoothing', min: 0, max: 10, step: 1, default: 5, title: 'Cellular automaton passes that smooth walls into caves' }
+        }
+    },
+    terrain: {
+        generate: generateTerrain,
+        options: {
+            frequency: { label: 'Frequency', min: 0.01, max: 0.5, step: 0.01, default: 0.05, title: 'Noise features per hex: higher gives smaller, busier terrain' },
+            octaves: { label: 'Octaves', min: 1, max: 8, step: 1, default: 4, title: 'Layers of finer noise added for detail' },
+            seaLevel: { label: 'Sea level', min: 0, max: 1, step: 0.05, default: 0.4, title: 'Height (0–1) below which land is water; well below it is impassable deep water' },
+            mountainLevel: { label: 'Mountains', min: 0, max: 1, step: 0.05, default: 0.65, title: 'Height (0–1) above which land is impassable mountain' }
+        }
+    }
 };
 
-export function generateEmpty() {
+/**
+ * Start and end hexes the given distance in from the top-left and
+ * bottom-right corners, kept apart on small grids
+ * @param {number} inset
+ * @returns {{ startHex: HexCoord, endHex: HexCoord }}
+ */
+function getCornerHexes(inset) {
+    const limit = Math.floor((Math.min(gridConfig.width, gridConfig.height) - 2) / 2);
+    const distance = Math.min(inset, limit);
+    return {
+        startHex: { col: distance, row: distance },
+        endHex: { col: gridConfig.width - 1 - distance, row: gridConfig.height - 1 - distance }
+    };
+}
+
+/**
+ * @param {Random} random
+ * @param {MapOptions} options
+ */
+export function generateEmpty(random, { inset }) {
     clearGrid();
-    const startHex = { col: 5, row: 5 };
-    const endHex = { col: GRID_WIDTH - 6, row: GRID_HEIGHT - 6 };
+    const { startHex, endHex } = getCornerHexes(inset);
     setStartHex(startHex);
     setEndHex(endHex);
     grid.set(getHexKey(startHex.col, startHex.row), 'start');
@@ -37,11 +112,13 @@ function findPath(fromCol, fromRow, toCol, toRow) {
     const startKey = getHexKey(fromCol, fromRow);
     const endKey = getHexKey(toCol, toRow);
 
-    const queue = [{ col: fromCol, row: fromRow }];
+    /** @type {import('./priority-queue.js').Queue<HexCoord>} */
+    const queue = createQueue();
+    queue.push({ col: fromCol, row: fromRow });
     const cameFrom = new Map();
     cameFrom.set(startKey, null);
 
-    while (queue.length > 0) {
+    while (queue.size > 0) {
         const current = queue.shift();
         if (!current) continue;
         const currentKey = getHexKey(current.col, current.row);
@@ -51,8 +128,7 @@ function findPath(fromCol, fromRow, toCol, toRow) {
             const path = [];
             let key = endKey;
             while (key !== null) {
-                const [c, r] = key.split(',').map(Number);
-                path.push({ col: c, row: r });
+                path.push(parseHexKey(key));
                 key = cameFrom.get(key);
             }
             return path.reverse();
@@ -87,26 +163,25 @@ function ensurePathExists() {
     const endKey = getHexKey(endHex.col, endHex.row);
 
     const gScore = new Map();
-    const fScore = new Map();
     const cameFrom = new Map();
+    const closed = new Set();
 
     gScore.set(startKey, 0);
-    fScore.set(startKey, heuristic(startHex.col, startHex.row, endHex.col, endHex.row));
     cameFrom.set(startKey, null);
 
-    const openSet = [{ col: startHex.col, row: startHex.row }];
-
-    while (openSet.length > 0) {
-        openSet.sort((a, b) => {
-            const fA = fScore.get(getHexKey(a.col, a.row)) || Infinity;
-            const fB = fScore.get(getHexKey(b.col, b.row)) || Infinity;
-            return fA - fB;
-        });
+    /** @type {import('./priority-queue.js').PriorityQueue<HexCoord>} */
+    const openSet = createPriorityQueue();
+    openSet.push({ col: startHex.col, row: startHex.row }, heuristic(startHex.col, startHex.row, endHex.col, endHex.row));
 
-        const current = openSet.shift();
+    while (openSet.size > 0) {
+        const current = openSet.pop();
         if (!current) continue;
         const currentKey = getHexKey(current.col, current.row);
 
+        // Skip stale queue entries left behind by lazy deletion
+        if (closed.has(currentKey)) continue;
+        closed.add(currentKey);
+
         if (currentKey === endKey) {
             // Carve the path
             let key = endKey;
@@ -133,34 +208,36 @@ function ensurePathExists() {
             if (!gScore.has(neighborKey) || tentativeG < gScore.get(neighborKey)) {
                 cameFrom.set(neighborKey, currentKey);
                 gScore.set(neighborKey, tentativeG);
-                fScore.set(neighborKey, tentativeG + heuristic(neighbor.col, neighbor.row, endHex.col, endHex.row));
-                if (!openSet.some(n => n.col === neighbor.col && n.row === neighbor.row)) {
-                    openSet.push(neighbor);
-                }
+                openSet.push(neighbor, tentativeG + heuristic(neighbor.col, neighbor.row, endHex.col, endHex.row));
             }
         }
     }
 }
 
-export function generateMaze() {
+/**
+ * @param {Random} random
+ * @param {MapOptions} options
+ */
+export function generateMaze(random, { braid }) {
     clearGrid();
 
     // Fill everything with walls first
-    for (let row = 0; row < GRID_HEIGHT; row++) {
-        for (let col = 0; col < GRID_WIDTH; col++) {
+    for (let row = 0; row < gridConfig.height; row++) {
+        for (let col = 0; col < gridConfig.width; col++) {
             grid.set(getHexKey(col, row), 'wall');
         }
     }
 
     // Use recursive backtracker with actual hex neighbors
     // Work on a sparser grid (every other cell) to create corridors
-    const mazeRows = Math.floor(GRID_HEIGHT / 2);
-    const mazeCols = Math.floor(GRID_WIDTH / 2);
+    const mazeRows = Math.floor(gridConfig.height / 2);
+    const mazeCols = Math.floor(gridConfig.width / 2);
 
     // Map maze coords to grid coords
     /** @param {number} mc @param {number} mr */
     const toGrid = (mc, mr) => ({ col: mc * 2 + 1, row: mr * 2 + 1 });
 
+    const dirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
     const visited = new Set();
     const cellDistances = new Map();
     const stack = [{ mc: 0, mr: 0, dist: 0 }];
@@ -176,7 +253,6 @@ export function generateMaze() {
 
         // Get unvisited maze neighbors
         const neighbors = [];
-        const dirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
 
         for (const [dmc, dmr] of dirs) {
             const nmc = current.mc + dmc;
@@ -189,7 +265,7 @@ export function generateMaze() {
         }
 
         if (neighbors.length > 0) {
-            const next = neighbors[Math.floor(Math.random() * neighbors.length)];
+            const next = neighbors[Math.floor(random() * neighbors.length)];
             visited.add(`${next.mc},${next.mr}`);
 
             const nextGrid = toGrid(next.mc, next.mr);
@@ -232,29 +308,41 @@ export function generateMaze() {
     const endHex = { col: endPos.col, row: endPos.row };
     setEndHex(endHex);
     grid.set(getHexKey(endHex.col, endHex.row), 'end');
+
+    // Passages between neighbouring maze cells, for braiding
+    const links = [];
+    for (let mr = 0; mr < mazeRows; mr++) {
+        for (let mc = 0; mc < mazeCols; mc++) {
+            const cell = toGrid(mc, mr);
+            links.push(dirs
+                .filter(([dmc, dmr]) => mc + dmc >= 0 && mc + dmc < mazeCols && mr + dmr >= 0 && mr + dmr < mazeRows)
+                .map(([dmc, dmr]) => ({ to: (mr + dmr) * mazeCols + mc + dmc, passage: { col: cell.col + dmc, row: cell.row + dmr } })));
+        }
+    }
+    braidMaze(links, braid, random);
 }
 
-export function generateScattered() {
+/**
+ * @param {Random} random
+ * @param {MapOptions} options
+ */
+export function generateScattered(random, { density, clusterChance, inset }) {
     clearGrid();
 
-    const density = 0.3;
-    const clusterChance = 0.6;
-
     // Place start and end first
-    const startHex = { col: 5, row: 5 };
-    const endHex = { col: GRID_WIDTH - 6, row: GRID_HEIGHT - 6 };
+    const { startHex, endHex } = getCornerHexes(inset);
     setStartHex(startHex);
     setEndHex(endHex);
 
-    for (let row = 0; row < GRID_HEIGHT; row++) {
-        for (let col = 0; col < GRID_WIDTH; col++) {
-            if (Math.random() < density) {
+    for (let row = 0; row < gridConfig.height; row++) {
+        for (let col = 0; col < gridConfig.width; col++) {
+            if (random() < density) {
                 grid.set(getHexKey(col, row), 'wall');
 
                 // Sometimes create small clusters
-                if (Math.random() < clusterChance) {
+                if (random() < clusterChance) {
                     for (const neighbor of getNeighbors(col, row)) {
-                        if (Math.random() < 0.4) {
+                        if (random() < 0.4) {
                             grid.set(getHexKey(neighbor.col, neighbor.row), 'wall');
                         }
                     }
@@ -274,25 +362,29 @@ export function generateScattered() {
     ensurePathExists();
 }
 
-export function generateRooms() {
+/**
+ * @param {Random} random
+ * @param {MapOptions} options
+ */
+export function generateRooms(random, { roomCount, minRoomSize, maxRoomSize }) {
     clearGrid();
 
     // Fill with walls
-    for (let row = 0; row < GRID_HEIGHT; row++) {
-        for (let col = 0; col < GRID_WIDTH; col++) {
+    for (let row = 0; row < gridConfig.height; row++) {
+        for (let col = 0; col < gridConfig.width; col++) {
             grid.set(getHexKey(col, row), 'wall');
         }
     }
 
-    // Generate random rooms
+    // Generate random rooms, small enough to fit the grid
     const rooms = [];
-    const numRooms = 12;
+    const sizeRange = Math.max(minRoomSize, maxRoomSize) - minRoomSize + 1;
 
-    for (let i = 0; i < numRooms; i++) {
-        const roomW = 6 + Math.floor(Math.random() * 10);
-        const roomH = 6 + Math.floor(Math.random() * 10);
-        const roomX = 2 + Math.floor(Math.random() * (GRID_WIDTH - roomW - 4));
-        const roomY = 2 + Math.floor(Math.random() * (GRID_HEIGHT - roomH - 4));
+    for (let i = 0; i < roomCount; i++) {
+        const roomW = Math.min(minRoomSize + Math.floor(random() * sizeRange), gridConfig.width - 5);
+        const roomH = Math.min(minRoomSize + Math.floor(random() * sizeRange), gridConfig.height - 5);
+        const roomX = 2 + Math.floor(random() * (gridConfig.width - roomW - 4));
+        const roomY = 2 + Math.floor(random() * (gridConfig.height - roomH - 4));
 
         rooms.push({ x: roomX, y: roomY, w: roomW, h: roomH });
 
@@ -332,7 +424,12 @@ export function generateRooms() {
     const firstRoom = rooms[0];
     const lastRoom = rooms[rooms.length - 1];
     const startHex = { col: Math.floor(firstRoom.x + firstRoom.w / 2), row: Math.floor(firstRoom.y + firstRoom.h / 2) };
-    const endHex = { col: Math.floor(lastRoom.x + lastRoom.w / 2), row: Math.floor(lastRoom.y + lastRoom.h / 2) };
+    let endHex = { col: Math.floor(lastRoom.x + lastRoom.w / 2), row: Math.floor(lastRoom.y + lastRoom.h / 2) };
+    // Large rooms on a small grid can all share a centre; then end goes as
+    // far from start as the rooms reach
+    if (endHex.col === startHex.col && endHex.row === startHex.row) {
+        endHex = findFurthest(startHex);
+    }
     setStartHex(startHex);
     setEndHex(endHex);
 
@@ -342,6 +439,197 @@ export function generateRooms() {
     ensurePathExists();
 }
 
+/**
+ * Distances from a hex to every open hex reachable from it (BFS)
+ * @param {number} fromCol
+ * @param {number} fromRow
+ * @returns {Map<string, number>}
+ */
+function getDistances(fromCol, fromRow) {
+    const distances = new Map([[getHexKey(fromCol, fromRow), 0]]);
+    /** @type {import('./priority-queue.js').Queue<HexCoord>} */
+    const queue = createQueue();
+    queue.push({ col: fromCol, row: fromRow });
+
+    while (queue.size > 0) {
+        const current = /** @type {HexCoord} */ (queue.shift());
+        const distance = /** @type {number} */ (distances.get(getHexKey(current.col, current.row)));
+        for (const neighbor of getNeighbors(current.col, current.row)) {
+            const neighborKey = getHexKey(neighbor.col, neighbor.row);
+            if (distances.has(neighborKey) || grid.get(neighborKey) === 'wall') continue;
+            distances.set(neighborKey, distance + 1);
+            queue.push(neighbor);
+        }
+    }
+    return distances;
+}
+
+/**
+ * The open hex furthest from the given one
+ * @param {HexCoord} from
+ * @returns {HexCoord}
+ */
+function findFurthest(from) {
+    let furthestKey = getHexKey(from.col, from.row);
+    let maxDist = 0;
+    for (const [key, dist] of getDistances(from.col, from.row)) {
+        if (dist > maxDist) {
+            maxDist = dist;
+            furthestKey = key;
+        }
+    }
+    return parseHexKey(furthestKey);
+}
+
+/**
+ * The largest set of open hexes connected to each other
+ * @returns {string[]} their keys
+ */
+function findLargestRegion() {
+    /** @type {Set<string>} */
+    const seen = new Set();
+    /** @type {string[]} */
+    let largest = [];
+    for (let row = 0; row < gridConfig.height; row++) {
+        for (let col = 0; col < gridConfig.width; col++) {
+            const key = getHexKey(col, row);
+            if (seen.has(key) || grid.get(key) === 'wall') continue;
+            const region = [...getDistances(col, row).keys()];
+            for (const regionKey of region) seen.add(regionKey);
+            if (region.length > largest.length) largest = region;
+        }
+    }
+    return largest;
+}
+
+/**
+ * Place start and end far apart within a region: the furthest hex from
+ * anywhere in it is one end of a long route, and the furthest from that is
+ * the other
+ * @param {string[]} region - keys of connected open hexes
+ */
+function placeFarApart(region) {
+    let startHex, endHex;
+    if (region.length > 0) {
+        startHex = findFurthest(parseHexKey(region[0]));
+        endHex = findFurthest(startHex);
+    } else {
+        // Everything filled in; fall back to the empty map's corners
+        ({ startHex, endHex } = getCornerHexes(INSET_OPTION.default));
+    }
+    setStartHex(startHex);
+    setEndHex(endHex);
+    grid.set(getHexKey(startHex.col, startHex.row), 'start');
+    grid.set(getHexKey(endHex.col, endHex.row), 'end');
+}
+
+/**
+ * @param {Random} random
+ * @param {MapOptions} options
+ */
+export function generateCaves(random, { fillChance, smoothingPasses }) {
+    clearGrid();
+
+    for (let row = 0; row < gridConfig.height; row++) {
+        for (let col = 0; col < gridConfig.width; col++) {
+            if (random() < fillChance) {
+                grid.set(getHexKey(col, row), 'wall');
+            }
+        }
+    }
+
+    // Cellular automaton: a hex becomes wall when most of its six neighbours
+    // are, and opens up when few are. Off-grid counts as wall, closing the
+    // caves off at the edges.
+    for (let pass = 0; pass < smoothingPasses; pass++) {
+        const walls = [];
+        for (let row = 0; row < gridConfig.height; row++) {
+            for (let col = 0; col < gridConfig.width; col++) {
+                const neighbors = getNeighbors(col, row);
+                const wallCount = 6 - neighbors.length +
+                    neighbors.filter(n => grid.get(getHexKey(n.col, n.row)) === 'wall').length;
+                const isWall = grid.get(getHexKey(col, row)) === 'wall';
+                walls.push(wallCount >= 4 || (isWall && wallCount === 3));
+            }
+        }
+        walls.forEach((isWall, i) => {
+            const key = getHexKey(i % gridConfig.width, Math.floor(i / gridConfig.width));
+            if (isWall) {
+                grid.set(key, 'wall');
+            } else {
+                grid.delete(key);
+            }
+        });
+    }
+
+    // Keep only the largest cave
+    const largest = findLargestRegion();
+    const kept = new Set(largest);
+    for (let row = 0; row < gridConfig.height; row++) {
+        for (let col = 0; col < gridConfig.width; col++) {
+            if (!kept.has(getHexKey(col, row))) {
+                grid.set(getHexKey(col, row), 'wall');
+            }
+        }
+    }
+
+    placeFarApart(largest);
+    ensurePathExists();
+}
+
+// Land this far below sea level is impassable deep water
+const DEEP_WATER_DEPTH = 0.1;
+// Land this little above sea level is shore, marshy where it is wet
+const SHORE_HEIGHT = 0.03;
+
+/**
+ * Terrain for a hex from its height and moisture (both 0–1)
+ * @param {number} height
+ * @param {number} moisture
+ * @param {MapOptions} options
+ * @returns {TileType}
+ */
+function terrainAt(height, moisture, { seaLevel, mountainLevel }) {
+    if (height >= mountainLevel || height < seaLevel - DEEP_WATER_DEPTH) return 'wall';
+    if (height < seaLevel) return 'water';
+    if (height < seaLevel + SHORE_HEIGHT) return moisture > 0.5 ? 'mud' : 'standard';
+    return moisture > 0.55 ? 'forest' : 'standard';
+}
+
+/**
+ * Overworld terrain from smooth height and moisture noise: mountains and deep
+ * water are walls, with shallow water, marsh, forest and open ground between
+ * @param {Random} random
+ * @param {MapOptions} options
+ */
+export function generateTerrain(random, options) {
+    clearGrid();
+
+    const heightNoise = createValueNoise(random);
+    const moistureNoise = createValueNoise(random);
+    // Sample in hex widths so the map looks the same at any hex size
+    const unit = Math.sqrt(3) * gridConfig.hexSize;
+
+    for (let row = 0; row < gridConfig.height; row++) {
+        for (let col = 0; col < gridConfig.width; col++) {
+            const { x, y } = hexToPixel(col, row);
+            const nx = x / unit * options.frequency;
+            const ny = y / unit * options.frequency;
+            const type = terrainAt(
+                fractalNoise(heightNoise, nx, ny, options.octaves),
+                fractalNoise(moistureNoise, nx, ny, options.octaves),
+                options
+            );
+            if (type !== 'standard') {
+                grid.set(getHexKey(col, row), type);
+            }
+        }
+    }
+
+    placeFarApart(findLargestRegion());
+    ensurePathExists();
+}
+
 /**
  * @param {number} col
  * @param {number} row
@@ -352,7 +640,7 @@ function clearAreaAround(col, row, radius) {
         for (let dc = -radius; dc <= radius; dc++) {
             const nc = col + dc;
             const nr = row + dr;
-            if (nc >= 0 && nc < GRID_WIDTH && nr >= 0 && nr < GRID_HEIGHT) {
+            if (nc >= 0 && nc < gridConfig.width && nr >= 0 && nr < gridConfig.height) {
                 grid.delete(getHexKey(nc, nr));
             }
         }
@@ -0,0 +1,204 @@
+/**
+ * @typedef {import('./constants.js').HexCoord} HexCoord
+ * @typedef {import('./constants.js').TileType} TileType
+ * @typedef {import('./grid-config.js').HexLayout} HexLayout
+ *
+ * Saved map, version 1. Each row is a string with one character per tile
+ * (see TILE_CHARS); start and end are stored separately.
+ * @typedef {{
+ *   format: 'hexham-map',
+ *   version: number,
+ *   width: number,
+ *   height: number,
+ *   layout: HexLayout,
+ *   start: HexCoord | null,
+ *   end: HexCoord | null,
+ *   rows: string[]
+ * }} MapData
+ */
+
+import { gridConfig, setGridConfig, GRID_SIZE_LIMITS, HEX_LAYOUTS } from './grid-config.js';
+import { grid, getHexKey, getHexType, clearGrid, getStartHex, getEndHex, setHexType } from './grid.js';
+
+export const MAP_FORMAT = 'hexham-map';
+export const MAP_VERSION = 1;
+
+// One character per tile type in saved rows (start/end are stored separately)
+/** @type {Partial<Record<TileType, string>>} */
+const TILE_CHARS = {
+    standard: '.',
+    wall: '#',
+    road: '=',
+    forest: 'T',
+    mud: '~',
+    water: 'w'
+};
+
+/** @type {Map<string, TileType>} */
+const CHAR_TILES = new Map(
+    Object.entries(TILE_CHARS).map(([type, char]) => [/** @type {string} */ (char), /** @type {TileType} */ (type)])
+);
+
+/**
+ * Serialise the current grid, dimensions and start/end
+ * @returns {MapData}
+ */
+export function serializeMap() {
+    const rows = [];
+    for (let row = 0; row < gridConfig.height; row++) {
+        let line = '';
+        for (let col = 0; col < gridConfig.width; col++) {
+            const type = getHexType(col, row);
+            line += TILE_CHARS[type] ?? TILE_CHARS.standard;
+        }
+        rows.push(line);
+    }
+
+    const startHex = getStartHex();
+    const endHex = getEndHex();
+    return {
+        format: MAP_FORMAT,
+        version: MAP_VERSION,
+        width: gridConfig.width,
+        height: gridConfig.height,
+        layout: gridConfig.layout,
+        start: startHex ? { col: startHex.col, row: startHex.row } : null,
+        end: endHex ? { col: endHex.col, row: endHex.row } : null,
+        rows
+    };
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} name
+ * @param {number} width
+ * @param {number} height
+ * @returns {HexCoord | null}
+ */
+function parseCoord(value, name, width, height) {
+    if (value === null || value === undefined) return null;
+    const coord = /** @type {Record<string, unknown>} */ (value);
+    if (typeof value !== 'object' || !Number.isInteger(coord.col) || !Number.isInteger(coord.row)) {
+        throw new Error(`"${name}" must be an object like { "col": 5, "row": 5 }.`);
+    }
+    const { col, row } = /** @type {HexCoord} */ (coord);
+    if (col < 0 || col >= width || row < 0 || row >= height) {
+        throw new Error(`"${name}" (${col}, ${row}) is outside the ${width}×${height} grid.`);
+    }
+    return { col, row };
+}
+
+/**
+ * Parse and validate a saved map. Throws an Error with a user-facing message
+ * describing the first problem found.
+ * @param {string} text
+ * @returns {MapData}
+ */
+export function parseMap(text) {
+    /** @type {unknown} */
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+        throw new Error('The file does not contain a Hexham map.');
+    }
+    const data = /** @type {Record<string, unknown>} */ (json);
+
+    if (data.format !== MAP_FORMAT) {
+        throw new Error('The file does not contain a Hexham map.');
+    }
+    if (typeof data.version !== 'number' || !Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('The map has a missing or invalid format version.');
+    }
+    if (data.version > MAP_VERSION) {
+        throw new Error(`The map uses format version ${data.version}, but this version of Hexham only reads up to version ${MAP_VERSION}.`);
+    }
+
+    const { width, height } = data;
+    for (const [name, value] of /** @type {[string, unknown][]} */ ([['width', width], ['height', height]])) {
+        if (typeof value !== 'number' || !Number.isInteger(value) || value < GRID_SIZE_LIMITS.min || value > GRID_SIZE_LIMITS.max) {
+            throw new Error(`"${name}" must be a whole number from ${GRID_SIZE_LIMITS.min} to ${GRID_SIZE_LIMITS.max}.`);
+        }
+    }
+    const w = /** @type {number} */ (width);
+    const h = /** @type {number} */ (height);
+
+    const layout = data.layout ?? 'odd-r';
+    if (typeof layout !== 'string' || !(layout in HEX_LAYOUTS)) {
+        throw new Error(`"layout" must be one of: ${Object.keys(HEX_LAYOUTS).join(', ')}.`);
+    }
+
+    const { rows } = data;
+    if (!Array.isArray(rows) || rows.length !== h) {
+        throw new Error(`"rows" must be a list of ${h} strings, one per grid row.`);
+    }
+    rows.forEach((line, row) => {
+        if (typeof line !== 'string' || line.length !== w) {
+            throw new Error(`Row ${row} must be a string of ${w} tile characters.`);
+        }
+        for (let col = 0; col < line.length; col++) {
+            if (!CHAR_TILES.has(line[col])) {
+                throw new Error(`Unknown tile "${line[col]}" at column ${col}, row ${row}.`);
+            }
+        }
+    });
+
+    const start = parseCoord(data.start, 'start', w, h);
+    const end = parseCoord(data.end, 'end', w, h);
+    if (start && end && start.col === end.col && start.row === end.row) {
+        throw new Error('"start" and "end" must be different hexes.');
+    }
+
+    return {
+        format: MAP_FORMAT,
+        version: data.version,
+        width: w,
+        height: h,
+        layout: /** @type {HexLayout} */ (layout),
+        start,
+        end,
+        rows: /** @type {string[]} */ (rows)
+    };
+}
+
+/**
+ * Replace the current grid (and grid dimensions/layout) with a parsed map
+ * @param {MapData} data
+ */
+export function applyMap(data) {
+    setGridConfig({ width: data.width, height: data.height, layout: data.layout });
+    clearGrid();
+
+    data.rows.forEach((line, row) => {
+        for (let col = 0; col < line.length; col++) {
+            const type = /** @type {TileType} */ (CHAR_TILES.get(line[col]));
+            if (type !== 'standard') {
+                grid.set(getHexKey(col, row), type);
+            }
+        }
+    });
+
+    if (data.start) setHexType(data.start.col, data.start.row, 'start');
+    if (data.end) setHexType(data.end.col, data.end.row, 'end');
+}
+
+/**
+ * Download the current map as a JSON file
+ */
+export function exportMap() {
+    const json = JSON.stringify(serializeMap(), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `hexham-map-${gridConfig.width}x${gridConfig.height}.json`;
+    link.click();
+    // Some browsers start the download after click() returns, so give it a
+    // moment before freeing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,143 @@
+/**
+ * @typedef {import('./constants.js').MapType} MapType
+ * @typedef {import('./map-generators.js').MapOptions} MapOptions
+ * @typedef {import('./map-generators.js').MapOptionDefinition} MapOptionDefinition
+ */
+
+import { mapGenerators } from './map-generators.js';
+
+// Values chosen for each generator, remembered when switching between them
+/** @type {Partial<Record<MapType, MapOptions>>} */
+const chosen = {};
+
+// DOM elements (initialized via init)
+/** @type {HTMLElement} */
+let panel;
+/** @type {() => void} */
+let onOptionChange;
+
+/**
+ * Snap a value onto the option's slider: a whole number of steps from its
+ * minimum, within its range
+ * @param {MapOptionDefinition} definition
+ * @param {number} value
+ * @returns {number}
+ */
+function clampOption({ min, max, step }, value) {
+    const decimals = (String(step).split('.')[1] ?? '').length;
+    const snapped = Number((min + Math.round((value - min) / step) * step).toFixed(decimals));
+    return Math.min(max, Math.max(min, snapped));
+}
+
+/**
+ * @param {MapOptionDefinition} definition
+ * @param {number} value
+ * @returns {string}
+ */
+function formatOption({ unit }, value) {
+    return `${value}${unit ?? ''}`;
+}
+
+/**
+ * "seaLevel" → "sea-level", for element ids
+ * @param {string} name
+ * @returns {string}
+ */
+function toKebabCase(name) {
+    return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Options a map type declares, by name
+ * @param {MapType} mapType
+ * @returns {Record<string, MapOptionDefinition>}
+ */
+function getDefinitions(mapType) {
+    return mapGenerators[mapType]?.options ?? {};
+}
+
+/**
+ * Every option name any generator declares (e.g. to clear them from a URL)
+ * @returns {string[]}
+ */
+export function getAllMapOptionNames() {
+    return [...new Set(Object.values(mapGenerators).flatMap(({ options }) => Object.keys(options ?? {})))];
+}
+
+/**
+ * The options a map type reads: the values chosen in the panel, or the
+ * declared defaults
+ * @param {MapType} mapType
+ * @returns {MapOptions}
+ */
+export function getMapOptions(mapType) {
+    /** @type {MapOptions} */
+    const options = {};
+    for (const [name, definition] of Object.entries(getDefinitions(mapType))) {
+        options[name] = chosen[mapType]?.[name] ?? definition.default;
+    }
+    return options;
+}
+
+/**
+ * Choose option values for a map type (e.g. from a link), snapping to the
+ * declared ranges and steps; undeclared names and values that aren't numbers are ignored
+ * @param {MapType} mapType
+ * @param {MapOptions} options
+ */
+export function setMapOptions(mapType, options) {
+    const definitions = getDefinitions(mapType);
+    for (const [name, value] of Object.entries(options)) {
+        if (name in definitions && Number.isFinite(value)) {
+            chosen[mapType] = { ...chosen[mapType], [name]: clampOption(definitions[name], value) };
+        }
+    }
+}
+
+/**
+ * Render a slider for each option the given map type declares, hiding the
+ * panel when it declares none
+ * @param {MapType} mapType
+ */
+export function updateMapOptions(mapType) {
+    const values = getMapOptions(mapType);
+    const controls = Object.entries(getDefinitions(mapType)).map(([name, definition]) => {
+        const id = toKebabCase(name);
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.id = `${id}-input`;
+        input.min = String(definition.min);
+        input.max = String(definition.max);
+        input.step = String(definition.step);
+        input.value = String(values[name]);
+
+        const valueEl = document.createElement('span');
+        valueEl.id = `${id}-value`;
+        valueEl.textContent = formatOption(definition, values[name]);
+
+        input.addEventListener('input', () => {
+            valueEl.textContent = formatOption(definition, Number(input.value));
+        });
+        input.addEventListener('change', () => {
+            setMapOptions(mapType, { [name]: Number(input.value) });
+            onOptionChange();
+        });
+
+        const label = document.createElement('label');
+        label.dataset.mapOption = name;
+        if (definition.title) label.title = definition.title;
+        label.append(`${definition.label} `, input, ' ', valueEl);
+        return label;
+    });
+    panel.replaceChildren(...controls);
+    panel.hidden = controls.length === 0;
+}
+
+/**
+ * Initialize the map options panel
+ * @param {() => void} onChange - Called when an option is changed by the user
+ */
+export function initMapOptions(onChange) {
+    panel = /** @type {HTMLElement} */ (document.getElementById('map-options-panel'));
+    onOptionChange = onChange;
+}
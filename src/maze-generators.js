@@ -0,0 +1,434 @@
+/**
+ * Mazes on a hex lattice: cells sit two steps apart in axial
+ * coordinates (even q and even r), so every cell has up to six neighbours and
+ * every other hex is the passage between exactly one pair of cells
+ * @typedef {import('./constants.js').HexCoord} HexCoord
+ * @typedef {import('./random.js').Random} Random
+ * @typedef {import('./map-generators.js').MapOptions} MapOptions
+ * @typedef {{ to: number, passage: HexCoord }} MazePassage
+ * @typedef {MazePassage & { direction: number }} MazeLink
+ * @typedef {{ cells: HexCoord[], links: MazeLink[][], rows: number[][] }} MazeLattice
+ * @typedef {(lattice: MazeLattice, random: Random) => [number, MazeLink][]} MazeAlgorithm
+ */
+
+import { gridConfig } from './grid-config.js';
+import { grid, getHexKey, clearGrid, setStartHex, setEndHex } from './grid.js';
+import { offsetToAxial, getNeighborInDirection } from './hex-utils.js';
+import { createQueue } from './priority-queue.js';
+
+// Direction along a lattice row, and the two leading into the next row
+const ROW_DIRECTION = 0;
+const DOWN_DIRECTIONS = [4, 5];
+
+/**
+ * Find the maze cells on the current grid and the passages between them
+ * @returns {MazeLattice}
+ */
+function createLattice() {
+    /** @type {HexCoord[]} */
+    const cells = [];
+    /** @type {Map<string, number>} */
+    const index = new Map();
+    /** @type {Map<number, number[]>} */
+    const rowsByR = new Map();
+
+    for (let row = 0; row < gridConfig.height; row++) {
+        for (let col = 0; col < gridConfig.width; col++) {
+            const { q, r } = offsetToAxial(col, row);
+            if (q % 2 !== 0 || r % 2 !== 0) continue;
+            index.set(getHexKey(col, row), cells.length);
+            if (!rowsByR.has(r)) rowsByR.set(r, []);
+            /** @type {number[]} */ (rowsByR.get(r)).push(cells.length);
+            cells.push({ col, row });
+        }
+    }
+
+    const links = cells.map(cell => {
+        /** @type {MazeLink[]} */
+        const cellLinks = [];
+        for (let direction = 0; direction < 6; direction++) {
+            const passage = getNeighborInDirection(cell.col, cell.row, direction);
+            const next = passage && getNeighborInDirection(passage.col, passage.row, direction);
+            if (!passage || !next) continue;
+            cellLinks.push({ to: /** @type {number} */ (index.get(getHexKey(next.col, next.row))), direction, passage });
+        }
+        return cellLinks;
+    });
+
+    // Lattice rows in axial r order, each running along ROW_DIRECTION
+    const rows = [...rowsByR.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([, row]) => row.sort((a, b) => offsetToAxial(cells[a].col, cells[a].row).q - offsetToAxial(cells[b].col, cells[b].row).q));
+
+    return { cells, links, rows };
+}
+
+/**
+ * @template T
+ * @param {T[]} items
+ * @param {Random} random
+ * @returns {T}
+ */
+function pick(items, random) {
+    return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Fisher–Yates shuffle, in place
+ * @template T
+ * @param {T[]} items
+ * @param {Random} random
+ * @returns {T[]}
+ */
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+/**
+ * Disjoint sets over cell indices, for Kruskal's and Eller's
+ * @param {number} size
+ */
+function createDisjointSets(size) {
+    const parent = Array.from({ length: size }, (_, i) => i);
+
+    /** @param {number} i @returns {number} */
+    const find = i => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+
+    return {
+        find,
+        /**
+         * Merge the sets holding a and b
+         * @param {number} a
+         * @param {number} b
+         * @returns {boolean} false if they were already one set
+         */
+        union(a, b) {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA === rootB) return false;
+            parent[rootB] = rootA;
+            return true;
+        }
+    };
+}
+
+/**
+ * Randomized Prim's: grow the maze from one cell, each time opening a random
+ * link from the maze to a cell outside it
+ * @type {MazeAlgorithm}
+ */
+function prim({ cells, links }, random) {
+    const inMaze = new Set();
+    /** @type {[number, MazeLink][]} */
+    const frontier = [];
+    /** @type {[number, MazeLink][]} */
+    const carved = [];
+
+    /** @param {number} cell */
+    const add = cell => {
+        inMaze.add(cell);
+        for (const link of links[cell]) {
+            if (!inMaze.has(link.to)) frontier.push([cell, link]);
+        }
+    };
+
+    add(Math.floor(random() * cells.length));
+    while (frontier.length > 0) {
+        // Swap-remove a random entry
+        const i = Math.floor(random() * frontier.length);
+        const entry = frontier[i];
+        frontier[i] = frontier[frontier.length - 1];
+        frontier.pop();
+
+        if (inMaze.has(entry[1].to)) continue;
+        carved.push(entry);
+        add(entry[1].to);
+    }
+    return carved;
+}
+
+/**
+ * Randomized Kruskal's: open links in random order unless they would join
+ * two cells that are already connected
+ * @type {MazeAlgorithm}
+ */
+function kruskal({ cells, links }, random) {
+    const sets = createDisjointSets(cells.length);
+    /** @type {[number, MazeLink][]} */
+    const all = [];
+    links.forEach((cellLinks, cell) => {
+        // Each link is listed from both ends; keep one
+        for (const link of cellLinks) {
+            if (link.to > cell) all.push([cell, link]);
+        }
+    });
+    return shuffle(all, random).filter(([cell, link]) => sets.union(cell, link.to));
+}
+
+/**
+ * Wilson's: loop-erased random walks from each cell outside the maze until
+ * they hit it, giving a uniformly random spanning tree
+ * @type {MazeAlgorithm}
+ */
+function wilson({ cells, links }, random) {
+    const inMaze = new Set([Math.floor(random() * cells.length)]);
+    /** @type {[number, MazeLink][]} */
+    const carved = [];
+
+    for (let start = 0; start < cells.length; start++) {
+        if (inMaze.has(start)) continue;
+
+        // Remembering only the last exit from each cell erases any loops
+        /** @type {Map<number, MazeLink>} */
+        const exits = new Map();
+        let cell = start;
+        while (!inMaze.has(cell)) {
+            const link = pick(links[cell], random);
+            exits.set(cell, link);
+            cell = link.to;
+        }
+
+        for (cell = start; !inMaze.has(cell); cell = /** @type {MazeLink} */ (exits.get(cell)).to) {
+            inMaze.add(cell);
+            carved.push([cell, /** @type {MazeLink} */ (exits.get(cell))]);
+        }
+    }
+    return carved;
+}
+
+/**
+ * Eller's: one lattice row at a time, randomly joining neighbours in the row,
+ * then dropping at least one link from every set into the next row
+ * @type {MazeAlgorithm}
+ */
+function eller({ cells, links, rows }, random) {
+    const sets = createDisjointSets(cells.length);
+    /** @type {[number, MazeLink][]} */
+    const carved = [];
+
+    rows.forEach((row, rowIndex) => {
+        const lastRow = rowIndex === rows.length - 1;
+
+        /** @param {number} cell */
+        const downLinks = cell => links[cell].filter(link => DOWN_DIRECTIONS.includes(link.direction));
+
+        for (const cell of row) {
+            const link = links[cell].find(({ direction }) => direction === ROW_DIRECTION);
+            if (!link || sets.find(cell) === sets.find(link.to)) continue;
+            // The last row must join everything; a lone cell with no way down
+            // must join its neighbour or be cut off
+            const mustJoin = lastRow || downLinks(cell).length === 0 || downLinks(link.to).length === 0;
+            if (mustJoin || random() < 0.5) {
+                sets.union(cell, link.to);
+                carved.push([cell, link]);
+            }
+        }
+        if (lastRow) return;
+
+        /** @type {Map<number, [number, MazeLink][]>} */
+        const dropsBySet = new Map();
+        for (const cell of row) {
+            const set = sets.find(cell);
+            if (!dropsBySet.has(set)) dropsBySet.set(set, []);
+            for (const link of downLinks(cell)) {
+                /** @type {[number, MazeLink][]} */ (dropsBySet.get(set)).push([cell, link]);
+            }
+        }
+        for (const drops of dropsBySet.values()) {
+            shuffle(drops, random).forEach((drop, i) => {
+                // Two drops into the same cell would make a loop
+                if ((i === 0 || random() < 0.3) && sets.union(drop[0], drop[1].to)) {
+                    carved.push(drop);
+                }
+            });
+        }
+    });
+    return carved;
+}
+
+/**
+ * Hunt-and-kill: random walk through unvisited cells; when stuck, scan for an
+ * unvisited cell beside the maze and walk on from there
+ * @type {MazeAlgorithm}
+ */
+function huntAndKill({ cells, links }, random) {
+    const inMaze = new Set();
+    /** @type {[number, MazeLink][]} */
+    const carved = [];
+
+    /** @type {number | undefined} */
+    let cell = Math.floor(random() * cells.length);
+    inMaze.add(cell);
+    let huntFrom = 0;
+    while (cell !== undefined) {
+        /** @type {MazeLink[]} */
+        const onward = links[cell].filter(link => !inMaze.has(link.to));
+        if (onward.length > 0) {
+            const link = pick(onward, random);
+            carved.push([cell, link]);
+            inMaze.add(link.to);
+            cell = link.to;
+            continue;
+        }
+
+        // Hunt, skipping the leading cells already in the maze
+        while (inMaze.has(huntFrom)) huntFrom++;
+        cell = undefined;
+        for (let candidate = huntFrom; candidate < cells.length && cell === undefined; candidate++) {
+            if (inMaze.has(candidate)) continue;
+            const back = links[candidate].filter(link => inMaze.has(link.to));
+            if (back.length === 0) continue;
+            carved.push([candidate, pick(back, random)]);
+            inMaze.add(candidate);
+            cell = candidate;
+        }
+    }
+    return carved;
+}
+
+/**
+ * Knock through walls at dead ends so the maze has loops and more than one
+ * route: removes about the given percentage of dead ends, preferring walls
+ * that join two dead ends at once
+ * @template {MazePassage} T
+ * @param {T[][]} links - passages from each maze cell to its neighbours
+ * @param {number} percent
+ * @param {Random} random
+ * @returns {[number, T][]} the passages opened
+ */
+export function braidMaze(links, percent, random) {
+    /** @type {[number, T][]} */
+    const opened = [];
+    // Leave perfect mazes (and their seeded layouts) untouched
+    if (percent <= 0) return opened;
+
+    /** @param {T} link */
+    const isOpen = ({ passage }) => grid.get(getHexKey(passage.col, passage.row)) !== 'wall';
+    /** @param {number} cell */
+    const isDeadEnd = cell => links[cell].filter(isOpen).length === 1;
+
+    const deadEnds = shuffle(links.map((_, cell) => cell).filter(isDeadEnd), random);
+    let remaining = Math.round(deadEnds.length * percent / 100);
+    for (const cell of deadEnds) {
+        if (remaining <= 0) break;
+        // Already joined to an earlier dead end
+        if (!isDeadEnd(cell)) continue;
+
+        const walls = links[cell].filter(link => !isOpen(link));
+        if (walls.length === 0) continue;
+        const joining = walls.filter(link => isDeadEnd(link.to));
+        const link = pick(joining.length > 0 ? joining : walls, random);
+        grid.delete(getHexKey(link.passage.col, link.passage.row));
+        opened.push([cell, link]);
+        remaining -= joining.length > 0 ? 2 : 1;
+    }
+    return opened;
+}
+
+/**
+ * Fill the grid with walls and carve a maze, braided as the options ask, with
+ * start in the first cell and end in the cell furthest from it along the maze
+ * @param {MazeAlgorithm} algorithm
+ * @param {Random} random
+ * @param {MapOptions} options
+ */
+function carveMaze(algorithm, random, { braid }) {
+    clearGrid();
+    for (let row = 0; row < gridConfig.height; row++) {
+        for (let col = 0; col < gridConfig.width; col++) {
+            grid.set(getHexKey(col, row), 'wall');
+        }
+    }
+
+    const lattice = createLattice();
+    const { cells } = lattice;
+    /** @type {number[][]} */
+    const maze = cells.map(() => []);
+
+    for (const { col, row } of cells) {
+        grid.delete(getHexKey(col, row));
+    }
+    for (const [cell, { to, passage }] of algorithm(lattice, random)) {
+        grid.delete(getHexKey(passage.col, passage.row));
+        maze[cell].push(to);
+        maze[to].push(cell);
+    }
+    for (const [cell, { to }] of braidMaze(lattice.links, braid, random)) {
+        maze[cell].push(to);
+        maze[to].push(cell);
+    }
+
+    // Breadth-first over the maze for the furthest cell
+    const distances = new Map([[0, 0]]);
+    /** @type {import('./priority-queue.js').Queue<number>} */
+    const queue = createQueue();
+    queue.push(0);
+    let end = 0;
+    while (queue.size > 0) {
+        const cell = /** @type {number} */ (queue.shift());
+        const distance = /** @type {number} */ (distances.get(cell));
+        if (distance > /** @type {number} */ (distances.get(end))) end = cell;
+        for (const next of maze[cell]) {
+            if (distances.has(next)) continue;
+            distances.set(next, distance + 1);
+            queue.push(next);
+        }
+    }
+
+    const startHex = cells[0];
+    const endHex = cells[end];
+    setStartHex(startHex);
+    setEndHex(endHex);
+    grid.set(getHexKey(startHex.col, startHex.row), 'start');
+    grid.set(getHexKey(endHex.col, endHex.row), 'end');
+}
+
+/**
+ * @param {Random} random
+ * @param {MapOptions} options
+ */
+export function generatePrimMaze(random, options) {
+    carveMaze(prim, random, options);
+}
+
+/**
+ * @param {Random} random
+ * @param {MapOptions} options
+ */
+export function generateKruskalMaze(random, options) {
+    carveMaze(kruskal, random, options);
+}
+
+/**
+ * @param {Random} random
+ * @param {MapOptions} options
+ */
+export function generateWilsonMaze(random, options) {
+    carveMaze(wilson, random, options);
+}
+
+/**
+ * @param {Random} random
+ * @param {MapOptions} options
+ */
+export function generateEllerMaze(random, options) {
+    carveMaze(eller, random, options);
+}
+
+/**
+ * @param {Random} random
+ * @param {MapOptions} options
+ */
+export function generateHuntAndKillMaze(random, options) {
+    carveMaze(huntAndKill, random, options);
+}
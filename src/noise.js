@@ -0,0 +1,85 @@
+/**
+ * Smooth seeded noise for terrain generation
+ * @typedef {import('./random.js').Random} Random
+ * @typedef {(x: number, y: number) => number} Noise
+ */
+
+/**
+ * @param {number} t
+ * @returns {number}
+ */
+function smoothstep(t) {
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @param {number} t
+ * @returns {number}
+ */
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Hash a lattice point to a float in [0, 1), so the lattice never repeats the
+ * way a lookup table would (murmur3's finaliser)
+ * @param {number} seed - 32-bit integer
+ * @param {number} ix
+ * @param {number} iy
+ * @returns {number}
+ */
+function hashLattice(seed, ix, iy) {
+    let hash = seed ^ Math.imul(ix, 0x27d4eb2d) ^ Math.imul(iy, 0x165667b1);
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+}
+
+/**
+ * Value noise: a random value at each integer lattice point, blended smoothly
+ * in between. Returns values in [0, 1]; the same random sequence always gives
+ * the same noise.
+ * @param {Random} random
+ * @returns {Noise}
+ */
+export function createValueNoise(random) {
+    const seed = Math.floor(random() * 4294967296);
+
+    /** @param {number} ix @param {number} iy */
+    const valueAt = (ix, iy) => hashLattice(seed, ix, iy);
+
+    return (x, y) => {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const tx = smoothstep(x - x0);
+        const ty = smoothstep(y - y0);
+        const top = lerp(valueAt(x0, y0), valueAt(x0 + 1, y0), tx);
+        const bottom = lerp(valueAt(x0, y0 + 1), valueAt(x0 + 1, y0 + 1), tx);
+        return lerp(top, bottom, ty);
+    };
+}
+
+/**
+ * Fractal noise: octaves of noise at doubling frequency and halving
+ * amplitude, so large features carry smaller detail. Returns values in [0, 1].
+ * @param {Noise} noise
+ * @param {number} x
+ * @param {number} y
+ * @param {number} octaves
+ * @returns {number}
+ */
+export function fractalNoise(noise, x, y, octaves) {
+    let total = 0;
+    let amplitude = 1;
+    let amplitudes = 0;
+    for (let octave = 0; octave < octaves; octave++) {
+        const scale = 2 ** octave;
+        // Offset each octave so lattice points don't line up across octaves
+        total += amplitude * noise(x * scale + octave * 31.7, y * scale + octave * 17.3);
+        amplitudes += amplitude;
+        amplitude /= 2;
+    }
+    return total / amplitudes;
+}
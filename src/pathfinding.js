@@ -1,16 +1,124 @@
-import { getHexKey, getHexType, visitedHexes, pathHexes, clearPathfinding, getStartHex, getEndHex, setIsSearching, setMaxVisitOrder } from './grid.js';
-import { getNeighbors, heuristic } from './hex-utils.js';
+/**
+ * @typedef {import('./grid.js').SearchState} SearchState
+ * @typedef {import('./grid.js').SearchStats} SearchStats
+ * @typedef {import('./algorithms.js').SearchEvent} SearchEvent
+ * @typedef {import('./algorithms.js').CellScores} CellScores
+ * @typedef {import('./algorithms.js').SearchContext} SearchContext
+ * @typedef {import('./algorithms.js').SearchOptions} SearchOptions
+ *
+ * One algorithm being driven by the run loop (stats is also state.stats)
+ * @typedef {{
+ *   state: SearchState,
+ *   stats: SearchStats,
+ *   events: Generator<SearchEvent, void, void>,
+ *   path: string[] | null,
+ *   finished: boolean
+ * }} ActiveRun
+ *
+ * One run's share of a step: the events up to and including one expansion,
+ * and whether the algorithm finished after them. `undo` is filled in when the
+ * step is applied, and holds what is needed to take it back.
+ * @typedef {{
+ *   run: ActiveRun,
+ *   events: SearchEvent[],
+ *   ends: boolean,
+ *   undo?: StepUndo
+ * }} Step
+ *
+ * Each visit records the hex's previous visit order and parent (iterative
+ * searches can expand a hex more than once). A step that starts a new
+ * iteration also keeps the previous iteration's visualisation.
+ * @typedef {{
+ *   stats: SearchStats,
+ *   current: string | null,
+ *   meetingPoint: string | null,
+ *   path: string[] | null,
+ *   finished: boolean,
+ *   visitChanges: [string, number | undefined, string | null | undefined][],
+ *   frontierChanges: [string, boolean][],
+ *   scoreChanges: [string, CellScores | undefined][],
+ *   iteration?: IterationSnapshot
+ * }} StepUndo
+ *
+ * @typedef {{
+ *   visited: Map<string, number>,
+ *   stale: Set<string>,
+ *   parents: Map<string, string | null>,
+ *   frontier: Set<string>,
+ *   scores: Map<string, CellScores>
+ * }} IterationSnapshot
+ *
+ * Debugger commands that wake a paused run
+ * @typedef {'resume' | 'step' | 'back' | 'cancel'} DebugCommand
+ */
+
+import { parseHexKey, getMoveCost, getStartHex, getEndHex, setIsSearching, getIsPaused, setIsPaused, setSearchAlgorithms } from './grid.js';
+import { algorithms, dijkstra } from './algorithms.js';
 
 // Cancellation state
 let cancelRequested = false;
 
+// Steps that can be taken back while paused (older ones are forgotten)
+const MAX_STEP_HISTORY = 1000;
+
+// Wakes a paused run with the next debugger command
+/** @type {((command: DebugCommand) => void) | null} */
+let wakeDebugger = null;
+
+// Incremented per run, so a superseded run doesn't clobber the new one's UI state
+let runId = 0;
+
 /**
  * Request cancellation of the current pathfinding run
  */
 export function cancelPathfinding() {
     cancelRequested = true;
+    sendDebugCommand('cancel');
 }
 
+/**
+ * Pause the current run (or the next one to start) before its next step
+ */
+export function pausePathfinding() {
+    setIsPaused(true);
+}
+
+/**
+ * Continue a paused run at normal speed
+ */
+export function resumePathfinding() {
+    setIsPaused(false);
+    sendDebugCommand('resume');
+}
+
+/**
+ * Expand one more hex (per algorithm) in a paused run, or take the last
+ * step back
+ * @param {'forward' | 'back'} direction
+ */
+export function stepPathfinding(direction) {
+    sendDebugCommand(direction === 'forward' ? 'step' : 'back');
+}
+
+/** @param {DebugCommand} command */
+function sendDebugCommand(command) {
+    if (wakeDebugger) {
+        const wake = wakeDebugger;
+        wakeDebugger = null;
+        wake(command);
+    }
+}
+
+/** @returns {Promise<DebugCommand>} */
+function waitForDebugCommand() {
+    return new Promise(resolve => {
+        wakeDebugger = resolve;
+    });
+}
+
+// Events of the reference Dijkstra run worked through per animation frame
+const REFERENCE_EVENTS_PER_FRAME = 2000;
+
 // Speed presets: { stepsPerFrame, targetFps }
 const SPEED_PRESETS = {
     slow: { stepsPerFrame: 5, targetFps: 30 },
@@ -61,38 +169,315 @@ function nextFrame(lastFrameTime, frameTime) {
 }
 
 /**
- * Run pathfinding algorithm with visualization
- * @param {string} algorithm - 'bfs', 'dfs', 'astar', or 'greedy'
+ * Pull events from a run until it expands one hex or its algorithm finishes
+ * @param {ActiveRun} run
+ * @returns {Step}
+ */
+function pullStep(run) {
+    /** @type {SearchEvent[]} */
+    const events = [];
+    for (;;) {
+        const { value: event, done } = run.events.next();
+        if (done) {
+            return { run, events, ends: true };
+        }
+        events.push(event);
+        if (event.type === 'visit') {
+            return { run, events, ends: false };
+        }
+    }
+}
+
+/**
+ * Apply a step's events to its run's visualisation state, recording how to undo it
+ * @param {Step} step
+ */
+function applyStep(step) {
+    const { run, events } = step;
+    const { state, stats } = run;
+    const frontier = state.frontierHexes;
+
+    /** @type {StepUndo} */
+    const undo = {
+        stats: { ...stats },
+        current: state.current,
+        meetingPoint: state.meetingPoint,
+        path: run.path,
+        finished: run.finished,
+        visitChanges: [],
+        frontierChanges: [],
+        scoreChanges: []
+    };
+
+    for (const event of events) {
+        if (event.type === 'visit') {
+            undo.visitChanges.push([event.key, state.visitedHexes.get(event.key), state.parents.get(event.key)]);
+            state.visitedHexes.set(event.key, stats.expanded);
+            state.parents.set(event.key, event.parent);
+            if (event.side) state.sides.set(event.key, event.side);
+            state.maxVisitOrder = stats.expanded;
+            state.current = event.key;
+            stats.expanded++;
+            if (frontier.delete(event.key)) {
+                undo.frontierChanges.push([event.key, true]);
+            }
+            stats.frontier = frontier.size;
+        } else if (event.type === 'frontier') {
+            // Hexes queued but not yet expanded (a hex queued twice counts once)
+            if (!frontier.has(event.key)) {
+                frontier.add(event.key);
+                undo.frontierChanges.push([event.key, false]);
+            }
+            if (event.scores) {
+                undo.scoreChanges.push([event.key, state.scores.get(event.key)]);
+                state.scores.set(event.key, event.scores);
+            }
+            stats.frontier = frontier.size;
+            stats.maxFrontier = Math.max(stats.maxFrontier, frontier.size);
+        } else if (event.type === 'iteration') {
+            // Start afresh, fading the hexes expanded so far
+            undo.iteration = {
+                visited: new Map(state.visitedHexes),
+                stale: new Set(state.staleHexes),
+                parents: new Map(state.parents),
+                frontier: new Set(frontier),
+                scores: new Map(state.scores)
+            };
+            for (const key of state.visitedHexes.keys()) state.staleHexes.add(key);
+            state.visitedHexes.clear();
+            state.parents.clear();
+            state.scores.clear();
+            frontier.clear();
+            state.current = null;
+            stats.iterations++;
+            stats.bound = event.bound;
+            stats.frontier = 0;
+        } else if (event.type === 'done') {
+            run.path = event.path;
+            state.meetingPoint = event.meet ?? null;
+        }
+    }
+
+    if (step.ends) {
+        run.finished = true;
+        state.current = null;
+        showPath(run);
+    }
+    step.undo = undo;
+}
+
+/**
+ * Take back a step applied by applyStep
+ * @param {Step} step
+ */
+function undoStep({ run, events, undo }) {
+    if (!undo) return;
+    const { state, stats } = run;
+
+    for (let i = undo.visitChanges.length - 1; i >= 0; i--) {
+        const [key, order, parent] = undo.visitChanges[i];
+        if (order === undefined) {
+            state.visitedHexes.delete(key);
+            state.parents.delete(key);
+            state.sides.delete(key);
+        } else {
+            state.visitedHexes.set(key, order);
+            state.parents.set(key, parent ?? null);
+        }
+    }
+    for (let i = undo.frontierChanges.length - 1; i >= 0; i--) {
+        const [key, wasPresent] = undo.frontierChanges[i];
+        if (wasPresent) {
+            state.frontierHexes.add(key);
+        } else {
+            state.frontierHexes.delete(key);
+        }
+    }
+    for (let i = undo.scoreChanges.length - 1; i >= 0; i--) {
+        const [key, scores] = undo.scoreChanges[i];
+        if (scores) {
+            state.scores.set(key, scores);
+        } else {
+            state.scores.delete(key);
+        }
+    }
+    // Restored last, as an iteration event is the first in its step
+    if (undo.iteration) {
+        const { visited, stale, parents, frontier, scores } = undo.iteration;
+        state.visitedHexes = visited;
+        state.staleHexes = stale;
+        state.parents = parents;
+        state.frontierHexes = frontier;
+        state.scores = scores;
+    }
+    if (run.finished && !undo.finished) {
+        state.pathHexes.clear();
+    }
+
+    // Elapsed time is wall-clock, so it isn't rewound
+    Object.assign(stats, undo.stats, { elapsedMs: stats.elapsedMs });
+    state.maxVisitOrder = Math.max(0, stats.expanded - 1);
+    state.current = undo.current;
+    state.meetingPoint = undo.meetingPoint;
+    run.path = undo.path;
+    run.finished = undo.finished;
+}
+
+/**
+ * Sum the cost of every tile a path enters
+ * @param {string[]} path
+ * @returns {number}
+ */
+function getPathCost(path) {
+    let pathCost = 0;
+    for (let i = 1; i < path.length; i++) {
+        const { col, row } = parseHexKey(path[i]);
+        pathCost += getMoveCost(col, row);
+    }
+    return pathCost;
+}
+
+/**
+ * Advance a reference Dijkstra run, which isn't visualised, by up to `limit`
+ * events
+ * @param {Generator<SearchEvent, void, void>} events
+ * @param {number} limit
+ * @returns {number | null | undefined} Cost of the cheapest path (null if
+ *   there is no path), or undefined if the run hasn't finished yet
+ */
+function advanceReference(events, limit) {
+    for (let i = 0; i < limit; i++) {
+        const { value: event, done } = events.next();
+        if (done) return null;
+        if (event.type === 'done') return event.path && getPathCost(event.path);
+    }
+    return undefined;
+}
+
+/**
+ * Show a finished run's path
+ * @param {ActiveRun} run
+ */
+function showPath({ state, stats, path }) {
+    if (!path) {
+        stats.status = 'not-found';
+        return;
+    }
+
+    for (const key of path) {
+        state.pathHexes.add(key);
+    }
+    stats.status = 'found';
+    stats.pathLength = path.length - 1;
+    stats.pathCost = getPathCost(path);
+}
+
+/**
+ * Run one or more registered pathfinding algorithms with visualization. With
+ * several (comparison mode) they take turns, one expansion each per step, so
+ * they animate side by side at the same rate. While paused, the run waits for
+ * debugger commands and can step forward or back one step at a time. Each
+ * path found is checked against the cheapest path, from a reference run of
+ * Dijkstra that works through a slice per frame alongside the animation.
+ * @param {string[]} algorithmIds - Keys into the algorithm registry (e.g. 'bfs', 'astar')
+ * @param {SearchOptions} options - Heuristic and weight, for the algorithms that use them
  * @param {() => void} draw - Draw callback
  * @param {() => void} updateGoButton - UI update callback
  */
-export async function runPathfinding(algorithm, draw, updateGoButton) {
+export async function runPathfinding(algorithmIds, options, draw, updateGoButton) {
     const startHex = getStartHex();
     const endHex = getEndHex();
 
-    if (!startHex || !endHex) return;
+    if (!startHex || !endHex || algorithmIds.length === 0) return;
+    if (!algorithmIds.every(id => id in algorithms)) return;
 
-    // Clear previous results and reset cancel state
-    clearPathfinding();
+    // Stop a previous run that is still waiting while paused
+    sendDebugCommand('cancel');
+    const id = ++runId;
+
+    // Fresh state per algorithm replaces the previous results; reset cancel state
+    const states = setSearchAlgorithms(algorithmIds);
     cancelRequested = false;
     setIsSearching(true);
     updateGoButton();
     draw();
 
-    const startKey = getHexKey(startHex.col, startHex.row);
-    const endKey = getHexKey(endHex.col, endHex.row);
-
-    const cameFrom = new Map();
-    cameFrom.set(startKey, null);
-
-    let found = false;
-    let stepCount = 0;
     let stepsThisFrame = 0;
     let lastFrameTime = performance.now();
+    let pausedMs = 0;
+    const startTime = lastFrameTime;
+
+    /** @type {SearchContext} */
+    const context = { start: startHex, end: endHex, options };
+    const reference = dijkstra(context);
+    // Unknown until the reference run finishes
+    /** @type {number | null | undefined} */
+    let optimalCost;
+
+    /** @type {ActiveRun[]} */
+    const runs = states.map(state => {
+        /** @type {SearchStats} */
+        const stats = {
+            status: 'running',
+            expanded: 0,
+            frontier: 0,
+            maxFrontier: 0,
+            pathLength: 0,
+            pathCost: 0,
+            optimalCost: null,
+            iterations: 0,
+            bound: null,
+            elapsedMs: 0
+        };
+        state.stats = stats;
+        return {
+            state,
+            stats,
+            events: algorithms[state.algorithm].search(context),
+            path: null,
+            finished: false
+        };
+    });
+
+    // Steps taken (for stepping back) and steps taken back (replayed before pulling new events)
+    /** @type {Step[][]} */
+    const history = [];
+    /** @type {Step[][]} */
+    const future = [];
 
     // Get speed settings at start of run
     const { stepsPerFrame, frameTime } = getSpeedSettings();
 
+    function updateElapsed() {
+        for (const run of runs) {
+            if (!run.finished) run.stats.elapsedMs = performance.now() - startTime - pausedMs;
+        }
+    }
+
+    // Runs that found a path are compared with the cheapest once it is known
+    function showOptimalCost() {
+        if (optimalCost === undefined) return;
+        for (const run of runs) {
+            if (run.path) run.stats.optimalCost = optimalCost;
+        }
+    }
+
+    // Work through the reference run a slice per frame, so a large grid
+    // doesn't stall the animation
+    async function runReference() {
+        let referenceFrameTime = performance.now();
+        while (optimalCost === undefined) {
+            // Abandoned once a newer run starts or an edit clears the results
+            if (id !== runId || runs[0].state.stats !== runs[0].stats) return;
+            optimalCost = advanceReference(reference, REFERENCE_EVENTS_PER_FRAME);
+            if (optimalCost === undefined) {
+                referenceFrameTime = await nextFrame(referenceFrameTime, 0);
+            }
+        }
+        showOptimalCost();
+        draw();
+    }
+
     /**
      * Check if we should yield to render a frame
      * @returns {Promise<boolean>} true if cancelled
@@ -101,6 +486,7 @@ export async function runPathfinding(algorithm, draw, updateGoButton) {
         if (cancelRequested) return true;
         stepsThisFrame++;
         if (stepsThisFrame >= stepsPerFrame) {
+            updateElapsed();
             draw();
             lastFrameTime = await nextFrame(lastFrameTime, frameTime);
             stepsThisFrame = 0;
@@ -108,177 +494,57 @@ export async function runPathfinding(algorithm, draw, updateGoButton) {
         return cancelRequested;
     }
 
-    if (algorithm === 'bfs') {
-        // Breadth-First Search
-        const queue = [{ col: startHex.col, row: startHex.row }];
-
-        while (queue.length > 0 && !found) {
-            const current = queue.shift();
-            if (!current) continue;
-            const currentKey = getHexKey(current.col, current.row);
-
-            visitedHexes.set(currentKey, stepCount);
-            setMaxVisitOrder(stepCount);
-            stepCount++;
-            if (await maybeYield()) break;
-
-            if (currentKey === endKey) {
-                found = true;
-                break;
-            }
-
-            for (const neighbor of getNeighbors(current.col, current.row)) {
-                const neighborKey = getHexKey(neighbor.col, neighbor.row);
-                const neighborType = getHexType(neighbor.col, neighbor.row);
-
-                if (cameFrom.has(neighborKey)) continue;
-                if (neighborType === 'wall') continue;
-
-                cameFrom.set(neighborKey, currentKey);
-                queue.push(neighbor);
-            }
-        }
+    runReference();
 
-    } else if (algorithm === 'dfs') {
-        // Depth-First Search
-        const stack = [{ col: startHex.col, row: startHex.row }];
-
-        while (stack.length > 0 && !found) {
-            const current = stack.pop();
-            if (!current) continue;
-            const currentKey = getHexKey(current.col, current.row);
-
-            if (visitedHexes.has(currentKey)) continue;
-            visitedHexes.set(currentKey, stepCount);
-            setMaxVisitOrder(stepCount);
-
-            stepCount++;
-            if (await maybeYield()) break;
-
-            if (currentKey === endKey) {
-                found = true;
-                break;
-            }
-
-            for (const neighbor of getNeighbors(current.col, current.row)) {
-                const neighborKey = getHexKey(neighbor.col, neighbor.row);
-                const neighborType = getHexType(neighbor.col, neighbor.row);
-
-                if (visitedHexes.has(neighborKey)) continue;
-                if (neighborType === 'wall') continue;
-
-                if (!cameFrom.has(neighborKey)) {
-                    cameFrom.set(neighborKey, currentKey);
+    // Each step expands one hex in every unfinished run; only visits count as animation steps
+    let active = runs;
+    while (active.length > 0 && !cancelRequested) {
+        if (getIsPaused()) {
+            updateElapsed();
+            draw();
+            const pausedAt = performance.now();
+            const command = await waitForDebugCommand();
+            pausedMs += performance.now() - pausedAt;
+            lastFrameTime = performance.now();
+
+            if (command === 'cancel') break;
+            if (command === 'back') {
+                const steps = history.pop();
+                if (steps) {
+                    for (let i = steps.length - 1; i >= 0; i--) undoStep(steps[i]);
+                    future.push(steps);
+                    active = runs.filter(run => !run.finished);
                 }
-                stack.push(neighbor);
+                continue;
             }
+            if (command === 'resume') continue;
+            // 'step' falls through to take exactly one step
         }
 
-    } else if (algorithm === 'astar') {
-        // A* Search
-        const gScore = new Map();
-        const fScore = new Map();
-        gScore.set(startKey, 0);
-        fScore.set(startKey, heuristic(startHex.col, startHex.row, endHex.col, endHex.row));
-
-        const openSet = [{ col: startHex.col, row: startHex.row }];
-
-        while (openSet.length > 0 && !found) {
-            openSet.sort((a, b) => {
-                const fA = fScore.get(getHexKey(a.col, a.row)) || Infinity;
-                const fB = fScore.get(getHexKey(b.col, b.row)) || Infinity;
-                return fA - fB;
-            });
-
-            const current = openSet.shift();
-            if (!current) continue;
-            const currentKey = getHexKey(current.col, current.row);
-
-            if (visitedHexes.has(currentKey)) continue;
-            visitedHexes.set(currentKey, stepCount);
-            setMaxVisitOrder(stepCount);
-
-            stepCount++;
-            if (await maybeYield()) break;
-
-            if (currentKey === endKey) {
-                found = true;
-                break;
-            }
-
-            const currentG = gScore.get(currentKey);
-
-            for (const neighbor of getNeighbors(current.col, current.row)) {
-                const neighborKey = getHexKey(neighbor.col, neighbor.row);
-                const neighborType = getHexType(neighbor.col, neighbor.row);
-
-                if (visitedHexes.has(neighborKey)) continue;
-                if (neighborType === 'wall') continue;
-
-                const tentativeG = currentG + 1;
-
-                if (!gScore.has(neighborKey) || tentativeG < gScore.get(neighborKey)) {
-                    cameFrom.set(neighborKey, currentKey);
-                    gScore.set(neighborKey, tentativeG);
-                    fScore.set(neighborKey, tentativeG + heuristic(neighbor.col, neighbor.row, endHex.col, endHex.row));
-                    openSet.push(neighbor);
-                }
-            }
+        const steps = future.pop() ?? active.map(pullStep);
+        for (const step of steps) {
+            applyStep(step);
+            if (!step.ends) continue;
+            step.run.stats.elapsedMs = performance.now() - startTime - pausedMs;
+            showOptimalCost();
         }
+        history.push(steps);
+        if (history.length > MAX_STEP_HISTORY) history.shift();
 
-    } else if (algorithm === 'greedy') {
-        // Greedy Best-First Search
-        const endCol = endHex.col;
-        const endRow = endHex.row;
-        const openSet = [{ col: startHex.col, row: startHex.row }];
-
-        while (openSet.length > 0 && !found) {
-            openSet.sort((a, b) => {
-                const hA = heuristic(a.col, a.row, endCol, endRow);
-                const hB = heuristic(b.col, b.row, endCol, endRow);
-                return hA - hB;
-            });
-
-            const current = openSet.shift();
-            if (!current) continue;
-            const currentKey = getHexKey(current.col, current.row);
-
-            if (visitedHexes.has(currentKey)) continue;
-            visitedHexes.set(currentKey, stepCount);
-            setMaxVisitOrder(stepCount);
-
-            stepCount++;
-            if (await maybeYield()) break;
-
-            if (currentKey === endKey) {
-                found = true;
-                break;
-            }
-
-            for (const neighbor of getNeighbors(current.col, current.row)) {
-                const neighborKey = getHexKey(neighbor.col, neighbor.row);
-                const neighborType = getHexType(neighbor.col, neighbor.row);
-
-                if (visitedHexes.has(neighborKey)) continue;
-                if (neighborType === 'wall') continue;
-
-                if (!cameFrom.has(neighborKey)) {
-                    cameFrom.set(neighborKey, currentKey);
-                    openSet.push(neighbor);
-                }
-            }
-        }
+        active = runs.filter(run => !run.finished);
+        if (active.length > 0 && !getIsPaused() && await maybeYield()) break;
     }
 
-    // Reconstruct path if found
-    if (found) {
-        let currentKey = endKey;
-        while (currentKey !== null) {
-            pathHexes.add(currentKey);
-            currentKey = cameFrom.get(currentKey);
-        }
+    for (const run of active) {
+        run.stats.status = 'cancelled';
+        run.state.current = null;
     }
+    updateElapsed();
+
+    // A newer run has taken over the UI state
+    if (id !== runId) return;
 
+    setIsPaused(false);
     setIsSearching(false);
     updateGoButton();
     draw();
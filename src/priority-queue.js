@@ -0,0 +1,132 @@
+/**
+ * @template T
+ * @typedef {{
+ *   push: (item: T, priority: number) => void,
+ *   pop: () => T | undefined,
+ *   peek: () => { item: T, priority: number } | undefined,
+ *   readonly size: number
+ * }} PriorityQueue
+ */
+
+/**
+ * @template T
+ * @typedef {{
+ *   push: (item: T) => void,
+ *   shift: () => T | undefined,
+ *   readonly size: number
+ * }} Queue
+ */
+
+/**
+ * Binary min-heap keyed on priority. Decrease-key is handled by lazy deletion:
+ * push the item again with its better priority and have the consumer skip
+ * stale entries when they are popped. Ties are broken by insertion order so
+ * equal-priority items come out first-in, first-out.
+ * @template T
+ * @returns {PriorityQueue<T>}
+ */
+export function createPriorityQueue() {
+    /** @type {{ item: T, priority: number, order: number }[]} */
+    const heap = [];
+    let insertions = 0;
+
+    /**
+     * @param {number} a
+     * @param {number} b
+     * @returns {boolean} true if heap[a] should come out before heap[b]
+     */
+    function less(a, b) {
+        const ea = heap[a];
+        const eb = heap[b];
+        return ea.priority < eb.priority || (ea.priority === eb.priority && ea.order < eb.order);
+    }
+
+    /**
+     * @param {number} a
+     * @param {number} b
+     */
+    function swap(a, b) {
+        const tmp = heap[a];
+        heap[a] = heap[b];
+        heap[b] = tmp;
+    }
+
+    /** @param {number} i */
+    function siftUp(i) {
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!less(i, parent)) break;
+            swap(i, parent);
+            i = parent;
+        }
+    }
+
+    /** @param {number} i */
+    function siftDown(i) {
+        const n = heap.length;
+        while (true) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < n && less(left, smallest)) smallest = left;
+            if (right < n && less(right, smallest)) smallest = right;
+            if (smallest === i) break;
+            swap(i, smallest);
+            i = smallest;
+        }
+    }
+
+    return {
+        push(item, priority) {
+            heap.push({ item, priority, order: insertions++ });
+            siftUp(heap.length - 1);
+        },
+        pop() {
+            if (heap.length === 0) return undefined;
+            const top = heap[0];
+            const last = /** @type {{ item: T, priority: number, order: number }} */ (heap.pop());
+            if (heap.length > 0) {
+                heap[0] = last;
+                siftDown(0);
+            }
+            return top.item;
+        },
+        peek() {
+            if (heap.length === 0) return undefined;
+            return { item: heap[0].item, priority: heap[0].priority };
+        },
+        get size() {
+            return heap.length;
+        }
+    };
+}
+
+/**
+ * FIFO queue with O(1) push and shift (Array#shift is O(n))
+ * @template T
+ * @returns {Queue<T>}
+ */
+export function createQueue() {
+    /** @type {T[]} */
+    let items = [];
+    let head = 0;
+
+    return {
+        push(item) {
+            items.push(item);
+        },
+        shift() {
+            if (head >= items.length) return undefined;
+            const item = items[head++];
+            // Compact occasionally so consumed slots can be garbage collected
+            if (head > 1024 && head * 2 > items.length) {
+                items = items.slice(head);
+                head = 0;
+            }
+            return item;
+        },
+        get size() {
+            return items.length - head;
+        }
+    };
+}
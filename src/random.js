@@ -0,0 +1,43 @@
+/**
+ * Seedable pseudo-random number generator, a drop-in for Math.random()
+ * @typedef {() => number} Random
+ */
+
+/**
+ * Hash a seed string to a 32-bit integer (FNV-1a)
+ * @param {string} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a generator returning floats in [0, 1); the same seed always gives
+ * the same sequence (mulberry32)
+ * @param {string} seed
+ * @returns {Random}
+ */
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A fresh, short seed for when the user has not picked one
+ * @returns {string}
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
@@ -1,10 +1,16 @@
 /**
  * @typedef {import('./constants.js').HexCoord} HexCoord
+ * @typedef {import('./constants.js').Point} Point
+ * @typedef {import('./grid.js').SearchState} SearchState
+ * @typedef {import('./algorithms.js').CellScores} CellScores
+ * @typedef {{ x: number, y: number, width: number, height: number }} Viewport
  */
 
-import { GRID_WIDTH, GRID_HEIGHT, HEX_SIZE, HEX_WIDTH, HORIZ_SPACING, VERT_SPACING, TILE_TYPES, PATH_COLOR, MIN_SCALE, MAX_SCALE, getVisitedColor } from './constants.js';
-import { getHexKey, getHexType, visitedHexes, pathHexes } from './grid.js';
-import { hexToPixel } from './hex-utils.js';
+import { TILE_TYPES, PATH_COLOR, FRONTIER_COLOR, STALE_COLOR, MEET_COLOR, DEBUG_COLORS, MIN_SCALE, MAX_SCALE, getVisitedColor } from './constants.js';
+import { gridConfig } from './grid-config.js';
+import { getHexKey, parseHexKey, getHexType, getSearchStates, getIsPaused } from './grid.js';
+import { hexToPixel, getGridWorldSize } from './hex-utils.js';
+import { algorithms } from './algorithms.js';
 
 // Canvas elements (initialized via init)
 /** @type {HTMLCanvasElement} */
@@ -17,6 +23,21 @@ let offsetX = 0;
 let offsetY = 0;
 let scale = 1;
 
+// Below this on-screen hex radius (px), switch to the batched low-detail renderer
+const LOW_DETAIL_HEX_PX = 3;
+
+// Score labels need at least this on-screen hex radius (px) to be legible
+const SCORE_LABEL_HEX_PX = 24;
+
+// Per-hex g/h/f (or depth) labels, toggled from the toolbar
+let _showScores = false;
+
+// Parent arrows need at least this on-screen hex radius (px)
+const ARROW_HEX_PX = 6;
+
+// Arrows from each expanded hex to the hex it was reached from, toggled from the toolbar
+let _showArrows = false;
+
 // Hovered hex (for rendering)
 /** @type {HexCoord | null} */
 let _hoveredHex = null;
@@ -70,15 +91,95 @@ export function getHoveredHex() {
     return _hoveredHex;
 }
 
+/** @returns {boolean} */
+export function getShowScores() {
+    return _showScores;
+}
+
+/** @param {boolean} value */
+export function setShowScores(value) {
+    _showScores = value;
+}
+
+/** @returns {boolean} */
+export function getShowArrows() {
+    return _showArrows;
+}
+
+/** @param {boolean} value */
+export function setShowArrows(value) {
+    _showArrows = value;
+}
+
+/**
+ * Whether hexes are drawn large enough for parent arrows at the current zoom
+ * @returns {boolean}
+ */
+export function arrowsFit() {
+    return gridConfig.hexSize * scale >= ARROW_HEX_PX;
+}
+
+/**
+ * Whether hexes are drawn large enough for score labels at the current zoom
+ * @returns {boolean}
+ */
+export function scoreLabelsFit() {
+    return gridConfig.hexSize * scale >= SCORE_LABEL_HEX_PX;
+}
+
+/**
+ * Split the canvas into one viewport per search state: the whole canvas
+ * normally, and in comparison mode two side by side (stacked on tall
+ * screens) or a 2×2 grid for three or four. All viewports share one view
+ * transform, so pan and zoom stay in sync.
+ * @returns {Viewport[]}
+ */
+export function getViewports() {
+    const count = getSearchStates().length;
+    let columns = 1;
+    let rows = 1;
+    if (count === 2 && canvas.width >= canvas.height) {
+        columns = 2;
+    } else if (count === 2) {
+        rows = 2;
+    } else if (count > 2) {
+        columns = 2;
+        rows = Math.ceil(count / 2);
+    }
+
+    const width = Math.floor(canvas.width / columns);
+    const height = Math.floor(canvas.height / rows);
+    return Array.from({ length: count }, (_, i) => ({
+        x: (i % columns) * width,
+        y: Math.floor(i / columns) * height,
+        width,
+        height
+    }));
+}
+
+/**
+ * Convert a canvas point to coordinates within the viewport it falls in, as
+ * expected by pixelToHex and zoomToward
+ * @param {Point} point
+ * @returns {Point}
+ */
+export function toViewportCoords(point) {
+    const viewports = getViewports();
+    const viewport = viewports.find(v =>
+        point.x >= v.x && point.x < v.x + v.width && point.y >= v.y && point.y < v.y + v.height
+    ) || viewports[0];
+    return { x: point.x - viewport.x, y: point.y - viewport.y };
+}
+
 export function fitGridToView() {
     // Calculate total grid world-space dimensions
-    const gridWorldWidth = HEX_WIDTH + GRID_WIDTH * HORIZ_SPACING;
-    const gridWorldHeight = HEX_SIZE * 2 + GRID_HEIGHT * VERT_SPACING;
+    const { width: gridWorldWidth, height: gridWorldHeight } = getGridWorldSize();
 
     // Calculate scale to fit grid in viewport with some padding
     const padding = 20;
-    const availableWidth = canvas.width - padding * 2;
-    const availableHeight = canvas.height - padding * 2;
+    const viewport = getViewports()[0];
+    const availableWidth = viewport.width - padding * 2;
+    const availableHeight = viewport.height - padding * 2;
 
     const scaleX = availableWidth / gridWorldWidth;
     const scaleY = availableHeight / gridWorldHeight;
@@ -112,17 +213,21 @@ export function zoomToward(newScale, focusX, focusY) {
     scale = newScale;
 }
 
-function getVisibleRange() {
+/**
+ * @param {Viewport} viewport
+ */
+function getVisibleRange(viewport) {
     const invScale = 1 / scale;
     const left = -offsetX * invScale;
     const top = -offsetY * invScale;
-    const right = left + canvas.width * invScale;
-    const bottom = top + canvas.height * invScale;
+    const right = left + viewport.width * invScale;
+    const bottom = top + viewport.height * invScale;
 
-    const minCol = Math.max(0, Math.floor(left / HORIZ_SPACING) - 1);
-    const maxCol = Math.min(GRID_WIDTH - 1, Math.ceil(right / HORIZ_SPACING) + 1);
-    const minRow = Math.max(0, Math.floor(top / VERT_SPACING) - 1);
-    const maxRow = Math.min(GRID_HEIGHT - 1, Math.ceil(bottom / VERT_SPACING) + 1);
+    const { width, height, horizSpacing, vertSpacing } = gridConfig;
+    const minCol = Math.max(0, Math.floor(left / horizSpacing) - 1);
+    const maxCol = Math.min(width - 1, Math.ceil(right / horizSpacing) + 1);
+    const minRow = Math.max(0, Math.floor(top / vertSpacing) - 1);
+    const maxRow = Math.min(height - 1, Math.ceil(bottom / vertSpacing) + 1);
 
     return { minCol, maxCol, minRow, maxRow };
 }
@@ -134,8 +239,10 @@ function getVisibleRange() {
  */
 function drawHexagon(cx, cy, size) {
     ctx.beginPath();
+    // Pointy-topped hexes have a vertex at the top, flat-topped ones an edge
+    const startAngle = gridConfig.orientation === 'pointy' ? -Math.PI / 6 : 0;
     for (let i = 0; i < 6; i++) {
-        const angle = (Math.PI / 3) * i - Math.PI / 6;
+        const angle = (Math.PI / 3) * i + startAngle;
         const x = cx + size * Math.cos(angle);
         const y = cy + size * Math.sin(angle);
         if (i === 0) {
@@ -160,15 +267,113 @@ function lightenColor(hex, amount) {
     return `rgb(${r},${g},${b})`;
 }
 
+/**
+ * @param {import('./constants.js').TileType} type
+ * @returns {boolean} true for weighted terrain (road, forest, mud, water)
+ */
+function isTerrain(type) {
+    return type !== 'standard' && type !== 'wall' && type !== 'start' && type !== 'end';
+}
+
+/**
+ * Colors for a cell given its tile type and pathfinding state
+ * @param {import('./constants.js').TileType} type
+ * @param {string} key
+ * @param {SearchState} state
+ * @returns {import('./constants.js').ColorPair}
+ */
+function getCellColors(type, key, state) {
+    const visitOrder = state.visitedHexes.get(key);
+    const isOpen = type === 'standard' || isTerrain(type);
+    if (state.meetingPoint === key && type !== 'start' && type !== 'end') {
+        return MEET_COLOR;
+    } else if (state.pathHexes.has(key) && type !== 'start' && type !== 'end') {
+        return PATH_COLOR;
+    } else if (isOpen && state.frontierHexes.has(key)) {
+        return FRONTIER_COLOR;
+    } else if (visitOrder !== undefined && isOpen) {
+        return getVisitedColor(visitOrder, state.sides.get(key));
+    } else if (isOpen && state.staleHexes.has(key)) {
+        return STALE_COLOR;
+    }
+    return TILE_TYPES[type];
+}
+
+/**
+ * Fast path for large, zoomed-out grids: hexes are drawn as unstroked
+ * rectangles batched by color, and standard tiles come from one background fill
+ * @param {{ minCol: number, maxCol: number, minRow: number, maxRow: number }} range
+ * @param {SearchState} state
+ */
+function drawLowDetail({ minCol, maxCol, minRow, maxRow }, state) {
+    const { horizSpacing, vertSpacing } = gridConfig;
+    const worldSize = getGridWorldSize();
+
+    ctx.fillStyle = TILE_TYPES.standard.fill;
+    ctx.fillRect(0, 0, worldSize.width, worldSize.height);
+
+    /** @type {Map<string, Path2D>} */
+    const batches = new Map();
+    for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+            const { fill } = getCellColors(getHexType(col, row), getHexKey(col, row), state);
+            if (fill === TILE_TYPES.standard.fill) continue;
+
+            let batch = batches.get(fill);
+            if (!batch) {
+                batch = new Path2D();
+                batches.set(fill, batch);
+            }
+            const { x, y } = hexToPixel(col, row);
+            batch.rect(x - horizSpacing / 2, y - vertSpacing / 2, horizSpacing, vertSpacing);
+        }
+    }
+
+    for (const [fill, batch] of batches) {
+        ctx.fillStyle = fill;
+        ctx.fill(batch);
+    }
+}
+
 export function draw() {
     ctx.fillStyle = '#1a1a2e';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
+    const states = getSearchStates();
+    const viewports = getViewports();
+    viewports.forEach((viewport, i) => drawViewport(viewport, states[i]));
+
+    if (states.length > 1) {
+        viewports.forEach((viewport, i) => drawViewportLabel(viewport, states[i].algorithm));
+    }
+}
+
+/**
+ * Draw the grid, coloured by one search state, clipped to its viewport
+ * @param {Viewport} viewport
+ * @param {SearchState} state
+ */
+function drawViewport(viewport, state) {
     ctx.save();
-    ctx.translate(offsetX, offsetY);
+    ctx.beginPath();
+    ctx.rect(viewport.x, viewport.y, viewport.width, viewport.height);
+    ctx.clip();
+    ctx.translate(viewport.x + offsetX, viewport.y + offsetY);
     ctx.scale(scale, scale);
 
-    const { minCol, maxCol, minRow, maxRow } = getVisibleRange();
+    const range = getVisibleRange(viewport);
+    const { minCol, maxCol, minRow, maxRow } = range;
+    const { hexSize } = gridConfig;
+
+    if (hexSize * scale < LOW_DETAIL_HEX_PX) {
+        drawLowDetail(range, state);
+        ctx.restore();
+        return;
+    }
+
+    const showScores = _showScores && scoreLabelsFit();
+    const showArrows = _showArrows && arrowsFit();
+    const arrows = new Path2D();
 
     for (let row = minRow; row <= maxRow; row++) {
         for (let col = minCol; col <= maxCol; col++) {
@@ -176,21 +381,9 @@ export function draw() {
             const type = getHexType(col, row);
             const key = getHexKey(col, row);
             const isHovered = _hoveredHex && _hoveredHex.col === col && _hoveredHex.row === row;
-            const isPath = pathHexes.has(key);
-            const visitOrder = visitedHexes.get(key);
-            const isVisited = visitOrder !== undefined;
-
-            // Determine colors based on state
-            let colors;
-            if (isPath && type !== 'start' && type !== 'end') {
-                colors = PATH_COLOR;
-            } else if (isVisited && type === 'standard') {
-                colors = getVisitedColor(visitOrder);
-            } else {
-                colors = TILE_TYPES[type];
-            }
+            const colors = getCellColors(type, key, state);
 
-            drawHexagon(x, y, HEX_SIZE);
+            drawHexagon(x, y, hexSize);
 
             // Fill
             if (isHovered) {
@@ -204,8 +397,147 @@ export function draw() {
             ctx.strokeStyle = isHovered ? '#fff' : colors.stroke;
             ctx.lineWidth = (isHovered ? 2 : 1) / scale;
             ctx.stroke();
+
+            // Keep weighted terrain recognisable under visited/path colouring
+            if (isTerrain(type) && colors !== TILE_TYPES[type]) {
+                drawHexagon(x, y, hexSize * 0.45);
+                ctx.fillStyle = TILE_TYPES[type].fill;
+                ctx.fill();
+            }
+
+            const scores = showScores && state.scores.get(key);
+            if (scores) {
+                drawScoreLabel(x, y, scores, colors === FRONTIER_COLOR ? '#1a1a2e' : '#eee');
+            }
+
+            const parent = showArrows && state.parents.get(key);
+            if (parent) {
+                addParentArrow(arrows, x, y, parent);
+            }
         }
     }
 
+    if (showArrows) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.75)';
+        ctx.lineWidth = 1.5 / scale;
+        ctx.stroke(arrows);
+    }
+
+    if (getIsPaused()) {
+        drawDebugHighlights(state);
+    }
+
     ctx.restore();
 }
+
+/**
+ * Add an arrow from a hex's centre towards its parent's to a batched path,
+ * so the visited hexes read as a search tree
+ * @param {Path2D} arrows
+ * @param {number} x
+ * @param {number} y
+ * @param {string} parentKey
+ */
+function addParentArrow(arrows, x, y, parentKey) {
+    const { col, row } = parseHexKey(parentKey);
+    const target = hexToPixel(col, row);
+    const angle = Math.atan2(target.y - y, target.x - x);
+    const size = gridConfig.hexSize;
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+
+    const tipX = x + dx * size * 0.55;
+    const tipY = y + dy * size * 0.55;
+    arrows.moveTo(x - dx * size * 0.35, y - dy * size * 0.35);
+    arrows.lineTo(tipX, tipY);
+
+    // Arrowhead
+    for (const side of [-1, 1]) {
+        const headAngle = angle + Math.PI + side * Math.PI / 6;
+        arrows.moveTo(tipX, tipY);
+        arrows.lineTo(tipX + Math.cos(headAngle) * size * 0.3, tipY + Math.sin(headAngle) * size * 0.3);
+    }
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatScore(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+/**
+ * Draw a hex's scores as centred lines of text: whichever of g, h, f and
+ * depth its algorithm reported
+ * @param {number} x
+ * @param {number} y
+ * @param {CellScores} scores
+ * @param {string} color
+ */
+function drawScoreLabel(x, y, { g, h, f, depth }, color) {
+    const lines = [];
+    if (g !== undefined) lines.push(`g ${formatScore(g)}`);
+    if (h !== undefined) lines.push(`h ${formatScore(h)}`);
+    if (f !== undefined) lines.push(`f ${formatScore(f)}`);
+    if (depth !== undefined) lines.push(`d ${depth}`);
+
+    const fontSize = gridConfig.hexSize * 0.42;
+    const lineHeight = fontSize * 1.1;
+    ctx.font = `${fontSize}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = color;
+    lines.forEach((line, i) => {
+        ctx.fillText(line, x, y + (i - (lines.length - 1) / 2) * lineHeight);
+    });
+}
+
+/**
+ * Outline a hex (by key) in the given color
+ * @param {string} key
+ * @param {string} color
+ * @param {number} width - line width in screen pixels
+ */
+function outlineHex(key, color, width) {
+    const { col, row } = parseHexKey(key);
+    const { x, y } = hexToPixel(col, row);
+    drawHexagon(x, y, gridConfig.hexSize);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width / scale;
+    ctx.stroke();
+}
+
+/**
+ * Step debugger highlights while paused: the hex expanded last and the hex
+ * it was reached from (the frontier is always drawn in its own colour)
+ * @param {SearchState} state
+ */
+function drawDebugHighlights(state) {
+    if (state.current) {
+        const parent = state.parents.get(state.current);
+        if (parent) outlineHex(parent, DEBUG_COLORS.parent, 3);
+        outlineHex(state.current, DEBUG_COLORS.current, 3);
+    }
+}
+
+/**
+ * Outline a comparison viewport and name its algorithm in the corner
+ * @param {Viewport} viewport
+ * @param {string} algorithm
+ */
+function drawViewportLabel(viewport, algorithm) {
+    ctx.strokeStyle = '#4a4a6a';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(viewport.x + 0.5, viewport.y + 0.5, viewport.width - 1, viewport.height - 1);
+
+    const label = algorithms[algorithm]?.label ?? algorithm;
+    ctx.font = '12px monospace';
+    const textWidth = ctx.measureText(label).width;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(viewport.x + 6, viewport.y + 6, textWidth + 12, 20);
+    ctx.fillStyle = '#ccc';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, viewport.x + 12, viewport.y + 16);
+}
@@ -0,0 +1,127 @@
+/**
+ * @typedef {import('./algorithms.js').SearchOptions} SearchOptions
+ * @typedef {import('./algorithms.js').SearchOptionName} SearchOptionName
+ */
+
+import { algorithms, DEFAULT_SEARCH_OPTIONS } from './algorithms.js';
+import { heuristics } from './heuristics.js';
+
+// Range of the inadmissible heuristic's ×k slider
+export const INADMISSIBLE_FACTOR_LIMITS = { min: 2, max: 10, step: 1 };
+
+// Range of the weighted A* slider (weight 1 is plain A*)
+export const WEIGHT_LIMITS = { min: 1, max: 5, step: 0.5 };
+
+// Hexes beam search keeps per level
+export const BEAM_WIDTH_LIMITS = { min: 1, max: 1000 };
+
+// DOM elements (initialized via init)
+/** @type {HTMLSelectElement} */
+let heuristicSelect;
+/** @type {HTMLElement} */
+let factorControl;
+/** @type {HTMLInputElement} */
+let factorInput;
+/** @type {HTMLElement} */
+let factorValue;
+/** @type {HTMLElement} */
+let weightControl;
+/** @type {HTMLInputElement} */
+let weightInput;
+/** @type {HTMLElement} */
+let weightValue;
+/** @type {HTMLElement} */
+let beamWidthControl;
+/** @type {HTMLInputElement} */
+let beamWidthInput;
+
+/**
+ * Beam width from its field, falling back to the default when it isn't a
+ * number and clamped to the allowed range
+ * @returns {number}
+ */
+function getBeamWidth() {
+    const width = Math.round(Number(beamWidthInput.value));
+    if (!Number.isFinite(width)) return DEFAULT_SEARCH_OPTIONS.beamWidth;
+    return Math.min(BEAM_WIDTH_LIMITS.max, Math.max(BEAM_WIDTH_LIMITS.min, width));
+}
+
+/**
+ * Settings currently chosen in the toolbar
+ * @returns {SearchOptions}
+ */
+export function getSearchOptions() {
+    return {
+        heuristic: heuristicSelect.value,
+        inadmissibleFactor: Number(factorInput.value),
+        weight: Number(weightInput.value),
+        beamWidth: getBeamWidth()
+    };
+}
+
+// The ×k slider only matters while the inadmissible heuristic is on offer and chosen
+function updateFactorControl() {
+    factorControl.hidden = heuristicSelect.hidden || heuristicSelect.value !== 'inadmissible';
+}
+
+/**
+ * Only offer the settings that at least one of the given algorithms reads
+ * @param {string[]} algorithmIds
+ */
+export function updateSearchOptions(algorithmIds) {
+    /** @param {SearchOptionName} name */
+    const used = (name) => algorithmIds.some(id => algorithms[id]?.options?.includes(name));
+    heuristicSelect.hidden = !used('heuristic');
+    updateFactorControl();
+    weightControl.hidden = !used('weight');
+    beamWidthControl.hidden = !used('beamWidth');
+}
+
+/**
+ * Initialize the heuristic picker, ×k and weight sliders and beam width field
+ */
+export function initSearchOptions() {
+    heuristicSelect = /** @type {HTMLSelectElement} */ (document.getElementById('heuristic-select'));
+    factorControl = /** @type {HTMLElement} */ (document.getElementById('inadmissible-factor-control'));
+    factorInput = /** @type {HTMLInputElement} */ (document.getElementById('inadmissible-factor-input'));
+    factorValue = /** @type {HTMLElement} */ (document.getElementById('inadmissible-factor-value'));
+    weightControl = /** @type {HTMLElement} */ (document.getElementById('weight-control'));
+    weightInput = /** @type {HTMLInputElement} */ (document.getElementById('weight-input'));
+    weightValue = /** @type {HTMLElement} */ (document.getElementById('weight-value'));
+    beamWidthControl = /** @type {HTMLElement} */ (document.getElementById('beam-width-control'));
+    beamWidthInput = /** @type {HTMLInputElement} */ (document.getElementById('beam-width-input'));
+
+    for (const [id, { label }] of Object.entries(heuristics)) {
+        heuristicSelect.add(new Option(label, id));
+    }
+    heuristicSelect.value = DEFAULT_SEARCH_OPTIONS.heuristic;
+    heuristicSelect.addEventListener('change', updateFactorControl);
+
+    factorInput.min = String(INADMISSIBLE_FACTOR_LIMITS.min);
+    factorInput.max = String(INADMISSIBLE_FACTOR_LIMITS.max);
+    factorInput.step = String(INADMISSIBLE_FACTOR_LIMITS.step);
+    factorInput.value = String(DEFAULT_SEARCH_OPTIONS.inadmissibleFactor);
+    const showFactor = () => {
+        factorValue.textContent = `×${factorInput.value}`;
+    };
+    factorInput.addEventListener('input', showFactor);
+    showFactor();
+
+    weightInput.min = String(WEIGHT_LIMITS.min);
+    weightInput.max = String(WEIGHT_LIMITS.max);
+    weightInput.step = String(WEIGHT_LIMITS.step);
+    weightInput.value = String(DEFAULT_SEARCH_OPTIONS.weight);
+    const showWeight = () => {
+        weightValue.textContent = `×${weightInput.value}`;
+    };
+    weightInput.addEventListener('input', showWeight);
+    showWeight();
+
+    beamWidthInput.min = String(BEAM_WIDTH_LIMITS.min);
+    beamWidthInput.max = String(BEAM_WIDTH_LIMITS.max);
+    beamWidthInput.value = String(DEFAULT_SEARCH_OPTIONS.beamWidth);
+    // Show the clamped width actually used
+    beamWidthInput.addEventListener('change', () => {
+        beamWidthInput.value = String(getBeamWidth());
+    });
+}
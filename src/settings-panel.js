@@ -0,0 +1,68 @@
+import { gridConfig, setGridConfig, writeGridConfigToUrl, GRID_SIZE_LIMITS, HEX_SIZE_LIMITS, HEX_LAYOUTS } from './grid-config.js';
+
+// DOM elements (initialized via init)
+/** @type {HTMLElement} */
+let panel;
+/** @type {HTMLInputElement} */
+let widthInput;
+/** @type {HTMLInputElement} */
+let heightInput;
+/** @type {HTMLInputElement} */
+let hexSizeInput;
+/** @type {HTMLSelectElement} */
+let layoutSelect;
+
+/**
+ * Show the current grid configuration in the panel's fields (e.g. after an
+ * imported map resized the grid)
+ */
+export function updateSettingsPanel() {
+    widthInput.value = String(gridConfig.width);
+    heightInput.value = String(gridConfig.height);
+    hexSizeInput.value = String(gridConfig.hexSize);
+    layoutSelect.value = gridConfig.layout;
+}
+
+/**
+ * Initialize the grid settings panel
+ * @param {() => void} onApply - Called after the grid configuration changes
+ */
+export function initSettingsPanel(onApply) {
+    panel = /** @type {HTMLElement} */ (document.getElementById('settings-panel'));
+    widthInput = /** @type {HTMLInputElement} */ (document.getElementById('grid-width-input'));
+    heightInput = /** @type {HTMLInputElement} */ (document.getElementById('grid-height-input'));
+    hexSizeInput = /** @type {HTMLInputElement} */ (document.getElementById('hex-size-input'));
+    layoutSelect = /** @type {HTMLSelectElement} */ (document.getElementById('layout-select'));
+    const toggleBtn = /** @type {HTMLButtonElement} */ (document.getElementById('settings-btn'));
+    const applyBtn = /** @type {HTMLButtonElement} */ (document.getElementById('settings-apply-btn'));
+
+    for (const input of [widthInput, heightInput]) {
+        input.min = String(GRID_SIZE_LIMITS.min);
+        input.max = String(GRID_SIZE_LIMITS.max);
+    }
+    hexSizeInput.min = String(HEX_SIZE_LIMITS.min);
+    hexSizeInput.max = String(HEX_SIZE_LIMITS.max);
+    for (const [layout, label] of Object.entries(HEX_LAYOUTS)) {
+        layoutSelect.add(new Option(label, layout));
+    }
+    updateSettingsPanel();
+
+    toggleBtn.addEventListener('click', () => {
+        panel.hidden = !panel.hidden;
+        toggleBtn.classList.toggle('active', !panel.hidden);
+        updateSettingsPanel();
+    });
+
+    applyBtn.addEventListener('click', () => {
+        setGridConfig({
+            width: Number(widthInput.value),
+            height: Number(heightInput.value),
+            hexSize: Number(hexSizeInput.value),
+            layout: layoutSelect.value
+        });
+        // Show the clamped values actually applied
+        updateSettingsPanel();
+        writeGridConfigToUrl();
+        onApply();
+    });
+}
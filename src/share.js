@@ -0,0 +1,275 @@
+/**
+ * @typedef {import('./constants.js').HexCoord} HexCoord
+ * @typedef {import('./constants.js').TileType} TileType
+ * @typedef {import('./map-generators.js').MapOptions} MapOptions
+ */
+
+import { gridConfig } from './grid-config.js';
+import { grid, getHexKey, getHexType, clearGrid, getStartHex, getEndHex, setHexType } from './grid.js';
+import { isInBounds } from './hex-utils.js';
+
+// Links longer than this are unreliable in chat apps, issue trackers and some servers
+export const MAX_SHARE_URL_LENGTH = 8000;
+
+// Tile codes used in ?map= (start/end are carried by ?start= and ?end=)
+/** @type {TileType[]} */
+const TILE_CODES = ['standard', 'wall', 'road', 'forest', 'mud', 'water'];
+
+// First character of ?map= says how the rest is encoded
+const RUN_LENGTH = 'r';
+const NIBBLES = 'n';
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Tile codes for every cell, row by row
+ * @returns {number[]}
+ */
+function getTileCodes() {
+    const codes = [];
+    for (let row = 0; row < gridConfig.height; row++) {
+        for (let col = 0; col < gridConfig.width; col++) {
+            const code = TILE_CODES.indexOf(getHexType(col, row));
+            codes.push(Math.max(code, 0));
+        }
+    }
+    return codes;
+}
+
+/**
+ * Run-length encoding: each run is a LEB128 varint of (length << 3 | code)
+ * @param {number[]} codes
+ * @returns {Uint8Array}
+ */
+function encodeRuns(codes) {
+    const bytes = [];
+    let i = 0;
+    while (i < codes.length) {
+        let length = 1;
+        while (i + length < codes.length && codes[i + length] === codes[i]) length++;
+
+        let value = length * 8 + codes[i];
+        while (value >= 0x80) {
+            bytes.push((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        bytes.push(value);
+        i += length;
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * The error for a link whose map has the wrong number of cells
+ * @returns {Error}
+ */
+function sizeMismatchError() {
+    return new Error(`The map in this link does not fit a ${gridConfig.width}×${gridConfig.height} grid.`);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} count - cells expected; longer maps are rejected before
+ *   they are expanded, so a crafted run length can't exhaust memory
+ * @returns {number[]}
+ */
+function decodeRuns(bytes, count) {
+    const codes = [];
+    let i = 0;
+    while (i < bytes.length) {
+        let value = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            if (i >= bytes.length) throw new Error('The map in this link is truncated.');
+            byte = bytes[i++];
+            value += (byte & 0x7f) * multiplier;
+            multiplier *= 0x80;
+        } while (byte & 0x80);
+
+        const length = Math.floor(value / 8);
+        const code = value % 8;
+        if (codes.length + length > count) throw sizeMismatchError();
+        for (let n = 0; n < length; n++) codes.push(code);
+    }
+    return codes;
+}
+
+/**
+ * Bit-packing: two 4-bit tile codes per byte
+ * @param {number[]} codes
+ * @returns {Uint8Array}
+ */
+function encodeNibbles(codes) {
+    const bytes = new Uint8Array(Math.ceil(codes.length / 2));
+    codes.forEach((code, i) => {
+        bytes[i >> 1] |= (i & 1) ? code << 4 : code;
+    });
+    return bytes;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} count
+ * @returns {number[]}
+ */
+function decodeNibbles(bytes, count) {
+    const codes = [];
+    for (let i = 0; i < count && (i >> 1) < bytes.length; i++) {
+        codes.push((i & 1) ? bytes[i >> 1] >> 4 : bytes[i >> 1] & 0x0f);
+    }
+    return codes;
+}
+
+/**
+ * Encode the grid's tiles for ?map=, using whichever of run-length encoding
+ * or bit-packing is shorter
+ * @returns {string}
+ */
+export function encodeMapParam() {
+    const codes = getTileCodes();
+    const runs = RUN_LENGTH + toBase64Url(encodeRuns(codes));
+    const nibbles = NIBBLES + toBase64Url(encodeNibbles(codes));
+    return runs.length <= nibbles.length ? runs : nibbles;
+}
+
+/**
+ * Decode ?map= into the grid (dimensions must already match the link's
+ * ?width= and ?height=). Throws an Error with a user-facing message.
+ * @param {string} encoded
+ */
+export function applyMapParam(encoded) {
+    const count = gridConfig.width * gridConfig.height;
+
+    let bytes;
+    try {
+        bytes = fromBase64Url(encoded.slice(1));
+    } catch {
+        throw new Error('The map in this link is not valid.');
+    }
+
+    let codes;
+    if (encoded[0] === RUN_LENGTH) {
+        codes = decodeRuns(bytes, count);
+    } else if (encoded[0] === NIBBLES) {
+        codes = decodeNibbles(bytes, count);
+    } else {
+        throw new Error('The map in this link uses an unknown encoding.');
+    }
+
+    if (codes.length !== count) {
+        throw sizeMismatchError();
+    }
+    if (codes.some(code => code >= TILE_CODES.length)) {
+        throw new Error('The map in this link contains unknown tiles.');
+    }
+
+    clearGrid();
+    codes.forEach((code, i) => {
+        if (code !== 0) {
+            grid.set(getHexKey(i % gridConfig.width, Math.floor(i / gridConfig.width)), TILE_CODES[code]);
+        }
+    });
+}
+
+/**
+ * Parse a "col,row" URL param
+ * @param {string | null} value
+ * @param {string} name
+ * @returns {HexCoord | null}
+ */
+export function parseCoordParam(value, name) {
+    if (value === null) return null;
+    const match = /^(\d+),(\d+)$/.exec(value);
+    if (!match) {
+        throw new Error(`"${name}" in this link should look like ${name}=5,5.`);
+    }
+    const col = Number(match[1]);
+    const row = Number(match[2]);
+    if (!isInBounds(col, row)) {
+        throw new Error(`"${name}" (${col}, ${row}) is outside the ${gridConfig.width}×${gridConfig.height} grid.`);
+    }
+    return { col, row };
+}
+
+/**
+ * Apply ?map=, ?start= and ?end= from the current URL to the grid
+ * @returns {boolean} true if the URL contained a map
+ */
+export function applySharedMapFromUrl() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const map = urlParams.get('map');
+    const start = parseCoordParam(urlParams.get('start'), 'start');
+    const end = parseCoordParam(urlParams.get('end'), 'end');
+
+    if (map !== null) {
+        applyMapParam(map);
+    }
+    if (start) setHexType(start.col, start.row, 'start');
+    if (end) setHexType(end.col, end.row, 'end');
+    return map !== null;
+}
+
+/**
+ * Build a link that reproduces the current map, algorithm and speed. If the
+ * map is too large for a link, it is left out and `includesMap` is false; the
+ * generator, seed and map options still let the link rebuild the original
+ * generated map.
+ * @param {{ algorithm: string, speed: string, generator: string, seed: string, mapOptions: MapOptions }} options
+ * @returns {{ url: string, includesMap: boolean }}
+ */
+export function buildShareUrl({ algorithm, speed, generator, seed, mapOptions }) {
+    const url = new URL(window.location.href);
+    url.search = '';
+
+    const { searchParams } = url;
+    searchParams.set('width', String(gridConfig.width));
+    searchParams.set('height', String(gridConfig.height));
+    searchParams.set('hexSize', String(gridConfig.hexSize));
+    searchParams.set('layout', gridConfig.layout);
+    searchParams.set('algo', algorithm);
+    searchParams.set('speed', speed);
+    searchParams.set('gen', generator);
+    searchParams.set('seed', seed);
+    for (const [name, value] of Object.entries(mapOptions)) {
+        searchParams.set(name, String(value));
+    }
+
+    const startHex = getStartHex();
+    const endHex = getEndHex();
+    if (startHex) searchParams.set('start', `${startHex.col},${startHex.row}`);
+    if (endHex) searchParams.set('end', `${endHex.col},${endHex.row}`);
+
+    const withoutMap = url.toString();
+    searchParams.set('map', encodeMapParam());
+    const withMap = url.toString();
+
+    if (withMap.length > MAX_SHARE_URL_LENGTH) {
+        return { url: withoutMap, includesMap: false };
+    }
+    return { url: withMap, includesMap: true };
+}
@@ -0,0 +1,106 @@
+/**
+ * @typedef {import('./grid.js').SearchStatus} SearchStatus
+ * @typedef {import('./grid.js').SearchStats} SearchStats
+ */
+
+import { getSearchStates, getIsPaused } from './grid.js';
+import { algorithms } from './algorithms.js';
+
+/** @type {Record<SearchStatus, string>} */
+const STATUS_LABELS = {
+    running: 'Searching…',
+    found: 'Found',
+    'not-found': 'Not found',
+    cancelled: 'Cancelled'
+};
+
+// DOM elements (initialized via init)
+/** @type {HTMLElement} */
+let panel;
+/** @type {HTMLElement} */
+let summary;
+/** @type {HTMLTableElement} */
+let comparisonTable;
+/** @type {Record<string, HTMLElement>} */
+const fields = {};
+
+/**
+ * Initialize the statistics panel
+ */
+export function initStatsPanel() {
+    panel = /** @type {HTMLElement} */ (document.getElementById('stats-panel'));
+    summary = /** @type {HTMLElement} */ (document.getElementById('stats-summary'));
+    comparisonTable = /** @type {HTMLTableElement} */ (document.getElementById('comparison-table'));
+    for (const el of panel.querySelectorAll('[data-stat]')) {
+        const field = /** @type {HTMLElement} */ (el);
+        fields[/** @type {string} */ (field.dataset.stat)] = field;
+    }
+}
+
+/**
+ * Whether a path is the cheapest there is, or how much dearer it is
+ * @param {SearchStats} stats
+ * @returns {string}
+ */
+function formatOptimal({ status, pathCost, optimalCost }) {
+    if (status !== 'found' || optimalCost === null) return '–';
+    const extra = pathCost - optimalCost;
+    // Costs are sums of halves, so exact comparison is safe
+    return extra === 0 ? 'Yes' : `No (+${extra})`;
+}
+
+/**
+ * Display strings for a run's statistics
+ * @param {SearchStats} stats
+ * @returns {Record<string, string>}
+ */
+function formatStats(stats) {
+    const found = stats.status === 'found';
+    return {
+        status: stats.status === 'running' && getIsPaused() ? 'Paused' : STATUS_LABELS[stats.status],
+        expanded: String(stats.expanded),
+        frontier: String(stats.frontier),
+        maxFrontier: String(stats.maxFrontier),
+        pathLength: found ? String(stats.pathLength) : '–',
+        pathCost: found ? String(stats.pathCost) : '–',
+        optimal: formatOptimal(stats),
+        iterations: stats.iterations > 0 ? `${stats.iterations} (bound ${stats.bound})` : '–',
+        elapsed: `${Math.round(stats.elapsedMs)} ms`
+    };
+}
+
+/**
+ * Show the current search statistics (hidden until a search has run): a
+ * single line normally, or a table with a row per algorithm when comparing
+ */
+export function updateStatsPanel() {
+    const states = getSearchStates();
+    const comparing = states.length > 1;
+    panel.hidden = states.every(state => state.stats === null);
+    summary.hidden = comparing;
+    comparisonTable.hidden = !comparing;
+    if (panel.hidden) return;
+
+    if (!comparing) {
+        const text = formatStats(/** @type {SearchStats} */ (states[0].stats));
+        for (const [name, field] of Object.entries(fields)) {
+            field.textContent = text[name];
+        }
+        return;
+    }
+
+    const rows = states.map(({ algorithm, stats }) => {
+        const row = document.createElement('tr');
+        row.dataset.algorithm = algorithm;
+        const text = stats ? formatStats(stats) : null;
+        const cells = [
+            algorithms[algorithm]?.label ?? algorithm,
+            ...['status', 'expanded', 'maxFrontier', 'pathLength', 'pathCost', 'optimal', 'elapsed'].map(name => text ? text[name] : '–')
+        ];
+        for (const value of cells) {
+            row.insertCell().textContent = value;
+        }
+        return row;
+    });
+    comparisonTable.tBodies[0].replaceChildren(...rows);
+}
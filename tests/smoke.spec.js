@@ -35,10 +35,14 @@ test.describe('Hexham Pathfinding Visualizer', () => {
     await expect(page.locator('button.tile-btn[data-type="end"]')).toBeVisible();
     await expect(page.locator('button.tile-btn[data-type="wall"]')).toBeVisible();
     await expect(page.locator('button.tile-btn[data-type="standard"]')).toBeVisible();
+    await expect(page.locator('button.tile-btn[data-type="road"]')).toBeVisible();
+    await expect(page.locator('button.tile-btn[data-type="forest"]')).toBeVisible();
+    await expect(page.locator('button.tile-btn[data-type="mud"]')).toBeVisible();
+    await expect(page.locator('button.tile-btn[data-type="water"]')).toBeVisible();
   });
 
   test('can select each tool button', async ({ page }) => {
-    const tools = ['move', 'start', 'end', 'wall', 'standard'];
+    const tools = ['move', 'start', 'end', 'wall', 'standard', 'road', 'forest', 'mud', 'water'];
 
     for (const tool of tools) {
       const button = page.locator(`button.tile-btn[data-type="${tool}"]`);
@@ -53,8 +57,15 @@ test.describe('Hexham Pathfinding Visualizer', () => {
 
     await expect(select.locator('option[value="bfs"]')).toHaveText('Breadth First Search');
     await expect(select.locator('option[value="dfs"]')).toHaveText('Depth First Search');
+    await expect(select.locator('option[value="dijkstra"]')).toHaveText('Dijkstra (Uniform-Cost)');
     await expect(select.locator('option[value="astar"]')).toHaveText('A*');
     await expect(select.locator('option[value="greedy"]')).toHaveText('Greedy Best-First');
+    await expect(select.locator('option[value="bi-bfs"]')).toHaveText('Bidirectional BFS');
+    await expect(select.locator('option[value="bi-astar"]')).toHaveText('Bidirectional A*');
+    await expect(select.locator('option[value="jps"]')).toHaveText('Jump Point Search');
+    await expect(select.locator('option[value="iddfs"]')).toHaveText('Iterative Deepening DFS');
+    await expect(select.locator('option[value="ida-star"]')).toHaveText('IDA*');
+    await expect(select.locator('option[value="beam"]')).toHaveText('Beam Search');
   });
 
   test('can change algorithm selection', async ({ page }) => {
@@ -63,6 +74,9 @@ test.describe('Hexham Pathfinding Visualizer', () => {
     await select.selectOption('dfs');
     await expect(select).toHaveValue('dfs');
 
+    await select.selectOption('dijkstra');
+    await expect(select).toHaveValue('dijkstra');
+
     await select.selectOption('astar');
     await expect(select).toHaveValue('astar');
 
@@ -79,15 +93,22 @@ test.describe('Hexham Pathfinding Visualizer', () => {
 
     await expect(select.locator('option[value="empty"]')).toHaveText('Empty');
     await expect(select.locator('option[value="maze"]')).toHaveText('Maze');
+    await expect(select.locator('option[value="prim"]')).toHaveText("Maze (Prim's)");
+    await expect(select.locator('option[value="kruskal"]')).toHaveText("Maze (Kruskal's)");
+    await expect(select.locator('option[value="wilson"]')).toHaveText("Maze (Wilson's)");
+    await expect(select.locator('option[value="eller"]')).toHaveText("Maze (Eller's)");
+    await expect(select.locator('option[value="hunt-and-kill"]')).toHaveText('Maze (hunt-and-kill)');
     await expect(select.locator('option[value="scatter"]')).toHaveText('Scattered');
     await expect(select.locator('option[value="rooms"]')).toHaveText('Rooms');
+    await expect(select.locator('option[value="caves"]')).toHaveText('Caves');
+    await expect(select.locator('option[value="terrain"]')).toHaveText('Terrain');
   });
 
   test('can generate each map type', async ({ page }) => {
     const mapSelect = page.locator('#map-select');
     const generateBtn = page.locator('#generate-btn');
 
-    const mapTypes = ['empty', 'maze', 'scatter', 'rooms'];
+    const mapTypes = ['empty', 'maze', 'prim', 'kruskal', 'wilson', 'eller', 'hunt-and-kill', 'scatter', 'rooms', 'caves', 'terrain'];
 
     for (const mapType of mapTypes) {
       await mapSelect.selectOption(mapType);
@@ -117,7 +138,7 @@ test.describe('Hexham Pathfinding Visualizer', () => {
     const goBtn = page.locator('#go-btn');
     const generateBtn = page.locator('#generate-btn');
 
-    const algorithms = ['bfs', 'dfs', 'astar', 'greedy'];
+    const algorithms = ['bfs', 'dfs', 'dijkstra', 'astar', 'greedy'];
 
     for (const algorithm of algorithms) {
       // Reset to empty map
@@ -134,14 +155,512 @@ test.describe('Hexham Pathfinding Visualizer', () => {
     }
   });
 
+  test('reports path length and cost when a run finishes', async ({ page }) => {
+    await page.locator('#go-btn').click();
+
+    // Empty map: every step costs 1, so cost equals the hex distance
+    await expect(page.locator('#run-status')).toHaveText('Path length: 133 | Path cost: 133');
+  });
+
+  test('bidirectional searches find the same shortest path', async ({ page }) => {
+    for (const algorithm of ['bi-bfs', 'bi-astar']) {
+      await page.locator('#algorithm-select').selectOption(algorithm);
+      await page.locator('#go-btn').click();
+      await expect(page.locator('#run-status')).toHaveText('Path length: 133 | Path cost: 133');
+    }
+  });
+
+  test('jump point search expands only a few jump points on an open map', async ({ page }) => {
+    await page.locator('#algorithm-select').selectOption('jps');
+    await page.locator('#go-btn').click();
+
+    const stat = (name) => page.locator(`#stats-panel [data-stat="${name}"]`);
+    await expect(stat('status')).toHaveText('Found');
+    await expect(stat('expanded')).toHaveText('3');
+    await expect(stat('pathLength')).toHaveText('133');
+  });
+
+  test('stats panel shows the numbers for the last run', async ({ page }) => {
+    await expect(page.locator('#stats-panel')).toBeHidden();
+
+    await page.locator('#algorithm-select').selectOption('astar');
+    await page.locator('#go-btn').click();
+
+    const stat = (name) => page.locator(`#stats-panel [data-stat="${name}"]`);
+    await expect(stat('status')).toHaveText('Found');
+    await expect(stat('expanded')).toHaveText('4050');
+    await expect(stat('maxFrontier')).toHaveText('271');
+    await expect(stat('pathLength')).toHaveText('133');
+    await expect(stat('pathCost')).toHaveText('133');
+    await expect(stat('elapsed')).toHaveText(/^\d+ ms$/);
+
+    // Editing the map discards the run and its stats
+    await page.keyboard.press('4');
+    await page.locator('#canvas').click();
+    await expect(page.locator('#stats-panel')).toBeHidden();
+  });
+
+  test('heuristic and weight settings report whether the path is optimal', async ({ page }) => {
+    await page.goto('/?speed=instant&gen=scatter&seed=hexham');
+    const algorithmSelect = page.locator('#algorithm-select');
+    const heuristicSelect = page.locator('#heuristic-select');
+    const weightInput = page.locator('#weight-input');
+    const optimal = page.locator('#stats-panel [data-stat="optimal"]');
+
+    // Only offered to algorithms that use them
+    await expect(heuristicSelect).toBeHidden();
+    await algorithmSelect.selectOption('astar');
+    await expect(heuristicSelect).toBeVisible();
+    await expect(weightInput).toBeVisible();
+
+    await page.locator('#go-btn').click();
+    await expect(optimal).toHaveText('Yes');
+
+    await weightInput.fill('2');
+    await expect(page.locator('#weight-value')).toHaveText('×2');
+    await page.locator('#go-btn').click();
+    await expect(optimal).toHaveText('No (+3)');
+
+    // The inadmissible heuristic's ×k has its own slider, offered only with it
+    const factorInput = page.locator('#inadmissible-factor-input');
+    await expect(factorInput).toBeHidden();
+    await weightInput.fill('1');
+    await heuristicSelect.selectOption('inadmissible');
+    await expect(factorInput).toBeVisible();
+    await expect(page.locator('#inadmissible-factor-value')).toHaveText('×3');
+    await page.locator('#go-btn').click();
+    await expect(optimal).toHaveText('No (+5)');
+
+    await factorInput.fill('2');
+    await page.locator('#go-btn').click();
+    await expect(optimal).toHaveText('No (+3)');
+  });
+
+  test('iterative searches report their iterations', async ({ page }) => {
+    await page.goto('/?speed=instant&width=20&height=20');
+    const stat = (name) => page.locator(`#stats-panel [data-stat="${name}"]`);
+
+    await page.locator('#algorithm-select').selectOption('iddfs');
+    await page.locator('#go-btn').click();
+    await expect(stat('status')).toHaveText('Found');
+    await expect(stat('iterations')).toHaveText('14 (bound 13)');
+    await expect(stat('pathLength')).toHaveText('13');
+
+    // The heuristic is exact on an empty map, so IDA* needs one iteration
+    await page.locator('#algorithm-select').selectOption('ida-star');
+    await page.locator('#go-btn').click();
+    await expect(stat('iterations')).toHaveText('1 (bound 13)');
+    await expect(stat('expanded')).toHaveText('14');
+  });
+
+  test('IDA* with the Euclidean heuristic finds the cheapest path', async ({ page }) => {
+    // Rounding in the Euclidean distance here once made IDA* skip the bound
+    // of the cheapest path
+    await page.goto('/?speed=instant&width=20&height=20&hexSize=16&layout=even-q&gen=empty&start=16,8&end=16,4&algo=ida-star');
+    const stat = (name) => page.locator(`#stats-panel [data-stat="${name}"]`);
+
+    await page.locator('#heuristic-select').selectOption('euclidean');
+    await page.locator('#go-btn').click();
+    await expect(stat('pathCost')).toHaveText('4');
+    await expect(stat('optimal')).toHaveText('Yes');
+  });
+
+  test('beam width trades optimality for memory', async ({ page }) => {
+    await page.goto('/?speed=instant&gen=scatter&seed=hexham');
+    const beamWidthInput = page.locator('#beam-width-input');
+    const stat = (name) => page.locator(`#stats-panel [data-stat="${name}"]`);
+
+    await expect(beamWidthInput).toBeHidden();
+    await page.locator('#algorithm-select').selectOption('beam');
+    await expect(beamWidthInput).toHaveValue('20');
+
+    await page.locator('#go-btn').click();
+    await expect(stat('optimal')).toHaveText('Yes');
+
+    await beamWidthInput.fill('5');
+    await page.locator('#go-btn').click();
+    await expect(stat('optimal')).toHaveText('No (+21)');
+
+    await beamWidthInput.fill('2');
+    await page.locator('#go-btn').click();
+    await expect(stat('status')).toHaveText('Not found');
+  });
+
+  test('comparison mode runs several algorithms side by side', async ({ page }) => {
+    await page.locator('#compare-btn').click();
+    await expect(page.locator('#compare-panel')).toBeVisible();
+
+    await page.locator('#go-btn').click();
+
+    const table = page.locator('#comparison-table');
+    await expect(table).toBeVisible();
+    await expect(table.locator('tbody tr')).toHaveCount(3);
+
+    // Each algorithm keeps its own results: same path, very different effort
+    const expanded = { bfs: '9931', astar: '4050', greedy: '134' };
+    for (const [id, count] of Object.entries(expanded)) {
+      const cells = table.locator(`tr[data-algorithm="${id}"] td`);
+      await expect(cells.nth(1)).toHaveText('Found');
+      await expect(cells.nth(2)).toHaveText(count);
+      await expect(cells.nth(4)).toHaveText('133');
+    }
+    // The algorithms take turns, so times are when each finished
+    await expect(table.locator('th').last()).toHaveText('Finished at');
+  });
+
+  test('comparison mode needs at least two algorithms', async ({ page }) => {
+    await page.locator('#compare-btn').click();
+    const boxes = page.locator('#compare-algorithms input:checked');
+    await boxes.first().uncheck();
+
+    // The last two can't be unticked
+    await expect(boxes).toHaveCount(2);
+    for (const box of await boxes.all()) {
+      await expect(box).toBeDisabled();
+    }
+    await expect(page.locator('#go-btn')).toBeEnabled();
+
+    // Leaving comparison mode goes back to the single algorithm
+    await page.locator('#compare-btn').click();
+    await expect(page.locator('#go-btn')).toBeEnabled();
+  });
+
+  test('step debugger steps forward and back through a search', async ({ page }) => {
+    const stat = (name) => page.locator(`#stats-panel [data-stat="${name}"]`);
+
+    // Stepping while idle starts a paused search
+    await page.locator('#step-btn').click();
+    await expect(stat('status')).toHaveText('Paused');
+    await expect(page.locator('#pause-btn')).toHaveText('Resume');
+
+    for (let i = 0; i < 3; i++) {
+      await page.locator('#step-btn').click();
+    }
+    await expect(stat('expanded')).toHaveText('3');
+
+    await page.locator('#step-back-btn').click();
+    await expect(stat('expanded')).toHaveText('2');
+    await page.keyboard.press('ArrowRight');
+    await expect(stat('expanded')).toHaveText('3');
+
+    await page.locator('#pause-btn').click();
+    await expect(stat('status')).toHaveText('Found');
+    await expect(stat('expanded')).toHaveText('9931');
+    await expect(page.locator('#step-back-btn')).toBeDisabled();
+  });
+
+  test('score labels toggle and ask for zoom when hexes are too small', async ({ page }) => {
+    const canvas = page.locator('canvas');
+    await page.locator('#go-btn').click();
+    await page.locator('#scores-btn').click();
+    await expect(page.locator('#scores-btn')).toHaveClass(/active/);
+    await expect(page.locator('#message')).toHaveText('Zoom in to see the scores.');
+
+    // Zoomed right in around the start, labels are drawn over the searched hexes
+    const box = await canvas.boundingBox();
+    await page.mouse.move(box.x + 50, box.y + 50);
+    for (let i = 0; i < 90; i++) {
+      await page.mouse.wheel(0, -100);
+    }
+    const withScores = await canvas.evaluate(el => el.toDataURL());
+    await page.locator('#scores-btn').click();
+    await expect(page.locator('#scores-btn')).not.toHaveClass(/active/);
+    expect(await canvas.evaluate(el => el.toDataURL())).not.toEqual(withScores);
+  });
+
+  test('parent arrows can be toggled after a run', async ({ page }) => {
+    const canvas = page.locator('canvas');
+    await page.locator('#algorithm-select').selectOption('dfs');
+    await page.locator('#go-btn').click();
+    await expect(page.locator('#run-status')).toContainText('Path length:');
+
+    // Zoom in around the start far enough for arrows
+    const box = await canvas.boundingBox();
+    await page.mouse.move(box.x + 50, box.y + 50);
+    for (let i = 0; i < 30; i++) {
+      await page.mouse.wheel(0, -100);
+    }
+    const withoutArrows = await canvas.evaluate(el => el.toDataURL());
+    await page.locator('#arrows-btn').click();
+    await expect(page.locator('#arrows-btn')).toHaveClass(/active/);
+    expect(await canvas.evaluate(el => el.toDataURL())).not.toEqual(withoutArrows);
+    // The run's results stay on screen alongside the arrows
+    await expect(page.locator('#run-status')).toContainText('Path length:');
+  });
+
+  test('reads grid dimensions from URL params', async ({ page }) => {
+    await page.goto('/?speed=instant&width=30&height=20');
+    await expect(page.locator('#grid-width-input')).toHaveValue('30');
+    await expect(page.locator('#grid-height-input')).toHaveValue('20');
+
+    await page.locator('#go-btn').click();
+    await expect(page.locator('#run-status')).toHaveText('Path length: 23 | Path cost: 23');
+  });
+
+  test('settings panel applies a new grid size', async ({ page }) => {
+    await page.locator('#settings-btn').click();
+    await expect(page.locator('#settings-panel')).toBeVisible();
+
+    await page.locator('#grid-width-input').fill('40');
+    await page.locator('#grid-height-input').fill('5000');
+    await page.locator('#settings-apply-btn').click();
+
+    // Out-of-range values are clamped and reflected in the URL
+    await expect(page.locator('#grid-height-input')).toHaveValue('1000');
+    await expect(page).toHaveURL(/width=40/);
+    await expect(page).toHaveURL(/height=1000/);
+  });
+
+  test('supports every hex layout', async ({ page }) => {
+    for (const layout of ['odd-r', 'even-r', 'odd-q', 'even-q']) {
+      await page.goto(`/?speed=instant&layout=${layout}`);
+      await expect(page.locator('#layout-select')).toHaveValue(layout);
+
+      await page.locator('#go-btn').click();
+      await expect(page.locator('#run-status')).toContainText('Path length:');
+    }
+  });
+
+  test('exports the map as JSON and imports it back', async ({ page }) => {
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.locator('#export-btn').click(),
+    ]);
+    const path = await download.path();
+    const fs = await import('fs');
+    const saved = JSON.parse(fs.readFileSync(path, 'utf8'));
+    expect(saved.format).toBe('hexham-map');
+    expect(saved.start).toEqual({ col: 5, row: 5 });
+    expect(saved.rows).toHaveLength(100);
+
+    await page.locator('#import-input').setInputFiles({
+      name: 'map.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from(JSON.stringify(saved)),
+    });
+    await expect(page.locator('#message')).toHaveText('Loaded map.json');
+
+    // A map of another size resizes the grid, and the settings panel follows
+    await page.goto('/?speed=instant&width=30&height=20&layout=odd-q');
+    await page.locator('#import-input').setInputFiles({
+      name: 'map.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from(JSON.stringify(saved)),
+    });
+    await expect(page.locator('#message')).toHaveText('Loaded map.json');
+    await expect(page.locator('#grid-width-input')).toHaveValue('100');
+    await expect(page.locator('#grid-height-input')).toHaveValue('100');
+    await expect(page.locator('#layout-select')).toHaveValue(saved.layout);
+  });
+
+  test('shows a friendly error for a malformed map file', async ({ page }) => {
+    await page.locator('#import-input').setInputFiles({
+      name: 'broken.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from('{ not json'),
+    });
+    await expect(page.locator('#message')).toHaveText('Could not load broken.json: The file is not valid JSON.');
+    await expect(page.locator('#message')).toHaveClass(/error/);
+  });
+
+  test('share link reproduces map, algorithm and speed', async ({ page }) => {
+    await page.locator('#map-select').selectOption('rooms');
+    await page.locator('#generate-btn').click();
+    await page.locator('#algorithm-select').selectOption('astar');
+    await page.locator('#speed-select').selectOption('fast');
+    await page.locator('#share-btn').click();
+    await expect(page.locator('#message')).toContainText('Link');
+
+    const sharedUrl = page.url();
+    expect(sharedUrl).toContain('map=');
+    expect(sharedUrl).toContain('algo=astar');
+
+    await page.locator('#go-btn').click();
+    await expect(page.locator('#run-status')).toContainText('Path length:');
+    const originalStatus = await page.locator('#run-status').textContent();
+
+    await page.goto(sharedUrl);
+    await expect(page.locator('#algorithm-select')).toHaveValue('astar');
+    await expect(page.locator('#speed-select')).toHaveValue('fast');
+    await page.locator('#go-btn').click();
+    await expect(page.locator('#run-status')).toHaveText(originalStatus);
+  });
+
+  test('reports a broken shared map without failing', async ({ page }) => {
+    await page.goto('/?speed=instant&map=rAAAA');
+    await expect(page.locator('#message')).toContainText('Could not load the shared map');
+    await expect(page.locator('#go-btn')).toBeEnabled();
+  });
+
+  test('rejects a shared map with an oversized run before expanding it', async ({ page }) => {
+    // A single run claiming over 500 billion cells
+    await page.goto('/?speed=instant&map=r______9_');
+    await expect(page.locator('#message')).toHaveText('Could not load the shared map: The map in this link does not fit a 100×100 grid.');
+  });
+
+  test('undo and redo map generation', async ({ page }) => {
+    const undoBtn = page.locator('#undo-btn');
+    const redoBtn = page.locator('#redo-btn');
+    await expect(undoBtn).toBeDisabled();
+    await expect(redoBtn).toBeDisabled();
+
+    await page.locator('#map-select').selectOption('maze');
+    await page.locator('#generate-btn').click();
+    await expect(undoBtn).toBeEnabled();
+
+    await undoBtn.click();
+    await expect(undoBtn).toBeDisabled();
+    await expect(redoBtn).toBeEnabled();
+
+    // Back on the empty map, the path is the straight hex distance again
+    await page.locator('#go-btn').click();
+    await expect(page.locator('#run-status')).toHaveText('Path length: 133 | Path cost: 133');
+
+    await page.keyboard.press('Control+Shift+Z');
+    await expect(redoBtn).toBeDisabled();
+    await expect(undoBtn).toBeEnabled();
+  });
+
+  test('a drag stroke undoes in one step', async ({ page }) => {
+    await page.locator('button.tile-btn[data-type="wall"]').click();
+    const box = await page.locator('canvas').boundingBox();
+    await page.mouse.move(box.x + 100, box.y + 100);
+    await page.mouse.down();
+    await page.mouse.move(box.x + 200, box.y + 100, { steps: 10 });
+    await page.mouse.up();
+    await expect(page.locator('#undo-btn')).toBeEnabled();
+
+    await page.keyboard.press('Control+z');
+    await expect(page.locator('#undo-btn')).toBeDisabled();
+  });
+
+  test('seeded maps are reproducible', async ({ page }) => {
+    const expected = { maze: 1798, scatter: 153, rooms: 148, caves: 149 };
+
+    for (const [mapType, length] of Object.entries(expected)) {
+      await page.goto(`/?speed=instant&gen=${mapType}&seed=hexham`);
+      await expect(page.locator('#seed-input')).toHaveValue('hexham');
+      await page.locator('#go-btn').click();
+      await expect(page.locator('#run-status')).toHaveText(`Path length: ${length} | Path cost: ${length}`);
+    }
+  });
+
+  test('hex mazes always connect start to end', async ({ page }) => {
+    for (const mapType of ['prim', 'kruskal', 'wilson', 'eller', 'hunt-and-kill']) {
+      await page.goto(`/?speed=instant&gen=${mapType}&seed=hexham`);
+      await page.locator('#go-btn').click();
+      await expect(page.locator('#run-status')).toContainText('Path length:');
+    }
+  });
+
+  test('braiding a maze opens shorter routes', async ({ page }) => {
+    await page.goto('/?speed=instant&gen=maze&seed=hexham&braid=50');
+    const braidInput = page.locator('#braid-input');
+    const runStatus = page.locator('#run-status');
+    await expect(page.locator('#braid-value')).toHaveText('50%');
+
+    // BFS takes a shortcut; DFS wanders down a longer route
+    await page.locator('#go-btn').click();
+    await expect(runStatus).toHaveText('Path length: 164 | Path cost: 164');
+    await page.locator('#algorithm-select').selectOption('dfs');
+    await page.locator('#go-btn').click();
+    await expect(runStatus).toHaveText('Path length: 1341 | Path cost: 1341');
+
+    // No braiding rebuilds the same seed's perfect maze
+    await braidInput.fill('0');
+    await expect(page).toHaveURL(/seed=hexham&braid=0/);
+    await page.locator('#go-btn').click();
+    await expect(runStatus).toHaveText('Path length: 1798 | Path cost: 1798');
+
+    // Only mazes can be braided
+    await page.locator('#map-select').selectOption('scatter');
+    await expect(braidInput).toBeHidden();
+  });
+
+  test('terrain generator takes its noise settings from the options panel', async ({ page }) => {
+    await page.goto('/?speed=instant&gen=terrain&seed=moor');
+    const octavesInput = page.locator('#octaves-input');
+    const runStatus = page.locator('#run-status');
+    await expect(octavesInput).toHaveValue('4');
+    await expect(page.locator('#braid-input')).toBeHidden();
+
+    await page.locator('#algorithm-select').selectOption('dijkstra');
+    await page.locator('#go-btn').click();
+    // The cheapest route crosses dearer terrain, so it costs more than its length
+    await expect(runStatus).toHaveText('Path length: 145 | Path cost: 220');
+
+    // Changing a setting rebuilds the map from the same seed
+    await octavesInput.fill('1');
+    await octavesInput.press('Enter');
+    await expect(page).toHaveURL(/octaves=1/);
+    await page.locator('#go-btn').click();
+    await expect(runStatus).toHaveText('Path length: 161 | Path cost: 274');
+
+    // Another generator gets its own settings in place of these
+    await page.locator('#map-select').selectOption('rooms');
+    await expect(octavesInput).toHaveCount(0);
+    await expect(page.locator('#room-count-input')).toBeVisible();
+  });
+
+  test('map options panel is rendered from the generator declarations', async ({ page }) => {
+    await page.goto('/?speed=instant&gen=rooms&seed=hexham');
+    const panel = page.locator('#map-options-panel');
+    const roomCountInput = page.locator('#room-count-input');
+    await expect(panel.locator('[data-map-option="roomCount"]')).toContainText('Rooms');
+    await expect(roomCountInput).toHaveValue('12');
+    await expect(page.locator('#room-count-value')).toHaveText('12');
+    await expect(page.locator('#min-room-size-input')).toHaveValue('6');
+    await expect(page.locator('#max-room-size-input')).toHaveValue('15');
+
+    await roomCountInput.fill('4');
+    await expect(page.locator('#room-count-value')).toHaveText('4');
+    await expect(page).toHaveURL(/roomCount=4/);
+    await page.locator('#go-btn').click();
+    await expect(page.locator('#run-status')).toHaveText('Path length: 78 | Path cost: 78');
+
+    // Start and end sit in from the corners by the inset
+    await page.goto('/?speed=instant&gen=empty&inset=0');
+    await expect(page.locator('#inset-value')).toHaveText('0');
+    await page.locator('#go-btn').click();
+    await expect(page.locator('#run-status')).toHaveText('Path length: 149 | Path cost: 149');
+  });
+
+  test('generate shows the seed and records it in the URL', async ({ page }) => {
+    await page.locator('#map-select').selectOption('maze');
+    await page.locator('#generate-btn').click();
+
+    const seed = await page.locator('#seed-input').inputValue();
+    expect(seed).not.toBe('');
+    await expect(page).toHaveURL(new RegExp(`gen=maze&seed=${seed}`));
+
+    // Entering a seed regenerates that exact map
+    await page.locator('#seed-input').fill('hexham');
+    await page.locator('#seed-input').press('Enter');
+    await expect(page).toHaveURL(/seed=hexham/);
+    await page.locator('#go-btn').click();
+    await expect(page.locator('#run-status')).toHaveText('Path length: 1798 | Path cost: 1798');
+  });
+
+  test('typing a seed does not trigger keyboard shortcuts', async ({ page }) => {
+    const seedInput = page.locator('#seed-input');
+    await seedInput.fill('');
+    await seedInput.pressSequentially('hexham123r');
+    await expect(seedInput).toHaveValue('hexham123r');
+    await expect(page.locator('button.tile-btn.active')).toHaveAttribute('data-type', 'move');
+  });
+
   test('keyboard shortcuts work for tool selection', async ({ page }) => {
-    // Press 1-5 to select tools
+    // Press 1-9 to select tools
     const toolMap = {
       '1': 'move',
       '2': 'start',
       '3': 'end',
       '4': 'wall',
-      '5': 'standard'
+      '5': 'standard',
+      '6': 'road',
+      '7': 'forest',
+      '8': 'mud',
+      '9': 'water'
     };
 
     for (const [key, tool] of Object.entries(toolMap)) {